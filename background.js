@@ -2,47 +2,1764 @@
  * @fileoverview 扩展后台服务，监听浏览器事件并与内容脚本通信
  */
 
+// 与内容脚本共用消息总线和主机匹配规则
+importScripts('core/messageBus.js', 'core/hostPattern.js', 'core/proxyFetchService.js');
+
 (function() {
+  var MessageBus = self.MessageBus;
+  var ProxyFetchService = self.ProxyFetchService;
+
+  /**
+   * 后台代理请求的默认超时时间(毫秒)
+   */
+  var FETCH_TIMEOUT = 30000;
+
+  /**
+   * 后台代理请求的最大缓存条数
+   */
+  var FETCH_CACHE_LIMIT = 50;
+
+  /**
+   * 访问允许列表在chrome.storage.local中的键，用于覆盖默认列表；代理请求、Cookie读取和下载共用
+   */
+  var FETCH_ALLOW_LIST_KEY = 'proxyFetch.allowList';
+
+  /**
+   * 默认的访问允许列表，键为发起调用页面的主机匹配模式，值为允许访问的目标主机匹配模式
+   */
+  var DEFAULT_FETCH_ALLOW_LIST = {
+    '*.cm-iov.com': ['*.cm-iov.com']
+  };
+
+  /**
+   * 未指定图标时通知使用的默认图标(1x1透明PNG)
+   */
+  var DEFAULT_NOTIFICATION_ICON = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=';
+
+  /**
+   * 同一框架相同URL的重复导航通知在此时间内只发送一次(毫秒)
+   */
+  var NAVIGATION_DEDUPE_WINDOW = 1000;
+
+  /**
+   * 最近一次发送的导航通知，键为"标签页ID:框架ID"
+   * @type {Object<string, {url: string, time: number}>}
+   */
+  var lastNotifications = {};
+
+  /**
+   * onCommitted记录的导航类型，在页面加载完成时随通知发送，键为"标签页ID:框架ID"
+   * @type {Object<string, {transitionType: string, transitionQualifiers: Array<string>}>}
+   */
+  var committedTransitions = {};
+
+  /**
+   * 跨标签页事件订阅在chrome.storage.session中的键，后台被挂起后重新启动时从中恢复
+   */
+  var SUBSCRIPTIONS_KEY = 'tabEvents.subscriptions';
+
+  /**
+   * 跨标签页事件订阅，键为"标签页ID:框架ID"，值为该框架的订阅(键为订阅ID)
+   * @type {Promise<Object<string, Object<string, {topic: string, site: string|null}>>>|null}
+   */
+  var subscriptionsPromise = null;
+
+  /**
+   * 定时任务在chrome.storage.local中的键
+   */
+  var JOBS_KEY = 'scheduler.jobs';
+
+  /**
+   * 定时任务对应的alarm名称前缀，后接任务键
+   */
+  var JOB_ALARM_PREFIX = 'scheduler:';
+
+  /**
+   * chrome.alarms允许的最小周期(分钟)
+   */
+  var MIN_JOB_PERIOD = 0.5;
+
+  /**
+   * 等待目标标签页加载并注册任务处理函数的默认时间(毫秒)
+   */
+  var JOB_TAB_READY_TIMEOUT = 60000;
+
+  /**
+   * 目标标签页未就绪时重试调用的间隔(毫秒)
+   */
+  var JOB_TAB_RETRY_INTERVAL = 2000;
+
+  /**
+   * 标签页中任务处理函数的默认执行超时时间(毫秒)
+   */
+  var JOB_TAB_RUN_TIMEOUT = 60000;
+
+  /**
+   * 错过执行时间时的处理方式：runOnce补执行一次，skip跳过等待下一次
+   */
+  var MISSED_RUN_POLICIES = ['runOnce', 'skip'];
+
+  /**
+   * 定时任务记录，键为任务键(见getJobKey)
+   * @type {Promise<Object<string, Object>>|null}
+   */
+  var jobsPromise = null;
+
+  /**
+   * 正在执行的任务，键为任务键，避免同一任务重叠执行
+   * @type {Object<string, boolean>}
+   */
+  var runningJobs = {};
+
+  /**
+   * 错误日志在chrome.storage.local中的键，与StorageManager.getSharedStorage('errorLog')读写的位置相同
+   */
+  var ERROR_LOG_KEY = 'site_shared_errorLog';
+
+  /**
+   * 最多保留的错误日志条数，超出时丢弃最早的记录
+   */
+  var ERROR_LOG_MAX_ENTRIES = 100;
+
+  /**
+   * 已将旧共享存储迁移到扩展存储的网页来源，键为来源，值为迁移时间，与StorageManager读取的位置相同
+   */
+  var MIGRATED_ORIGINS_KEY = 'storageManager.migratedOrigins';
+
+  /**
+   * 共享存储读改写操作的队列，所有标签页的写入依次执行
+   * @type {Promise<void>}
+   */
+  var sharedWriteQueue = Promise.resolve();
+
+  /**
+   * 通知状态在chrome.storage.session中的键，后台被挂起后仍能响应通知点击
+   */
+  var NOTIFICATIONS_KEY = 'notifications.state';
+
+  /**
+   * 相同站点和去重键的通知在此时间内不重复显示(毫秒)
+   */
+  var NOTIFICATION_DEDUPE_WINDOW = 60000;
+
+  /**
+   * 每个站点在NOTIFICATION_RATE_WINDOW内最多显示的通知数
+   */
+  var NOTIFICATION_RATE_LIMIT = 5;
+
+  /**
+   * 通知限流的统计窗口(毫秒)
+   */
+  var NOTIFICATION_RATE_WINDOW = 60000;
+
+  /**
+   * 站点设置在chrome.storage.local中的键，与core/siteSettings.js相同，显示通知前从中读取站点的静音状态
+   */
+  var SITE_SETTINGS_KEY = 'siteManager.settings';
+
+  /**
+   * 通知ID的前缀，用于区分本服务创建的通知
+   */
+  var NOTIFICATION_ID_PREFIX = 'notify:';
+
+  /**
+   * 通知状态：active为显示中的通知(键为通知ID)，recent为通知ID最近一次显示的时间，sent为各站点最近的显示时间
+   * @type {Promise<Object>|null}
+   */
+  var notificationStatePromise = null;
+
+  /**
+   * 各标签页同步的站点右键菜单项在chrome.storage.local中的键，扩展更新后据此重建菜单
+   */
+  var CONTEXT_MENUS_KEY = 'contextMenus.items';
+
+  /**
+   * 站点右键菜单项ID的前缀，完整ID为"前缀站点名称/菜单项标识"，站点名称和标识分别经过encodeURIComponent编码
+   */
+  var CONTEXT_MENU_ID_PREFIX = 'siteMenu:';
+
+  /**
+   * 各标签页同步的站点右键菜单项，键为标签页ID
+   * @type {Promise<Object<string, {items: Array<Object>, syncedAt: number}>>|null}
+   */
+  var contextMenuTabsPromise = null;
+
   /**
    * 安装/更新扩展时的处理
    */
   chrome.runtime.onInstalled.addListener(function() {
     console.log("扩展已安装/更新");
+
+    // 扩展更新或重新加载后右键菜单会被清空
+    restoreContextMenus();
 });
 
   /**
-   * 向标签页发送URL变化通知
+   * 浏览器启动时标签页ID会重新分配，按仍打开的标签页重建右键菜单
+   */
+  chrome.runtime.onStartup.addListener(function() {
+    restoreContextMenus();
+  });
+
+  /**
+   * 向标签页的指定框架发送URL变化通知，同一框架相同URL的重复通知会被忽略
    * @param {number} tabId - 标签页ID
    * @param {string} url - 当前URL
+   * @param {Object} [navigation] - 导航信息
+   * @param {number} [navigation.frameId=0] - 框架ID
+   * @param {string} [navigation.source] - 触发通知的事件："complete"、"historyState"或"fragment"
+   * @param {string} [navigation.transitionType] - 导航类型，如"link"、"typed"、"reload"
+   * @param {Array<string>} [navigation.transitionQualifiers] - 导航类型限定词，如"forward_back"
    */
-  function notifyTabUrlChanged(tabId, url) {
-    console.log("发送URL变化通知: " + tabId);
+  function notifyTabUrlChanged(tabId, url, navigation) {
+    navigation = navigation || {};
+    var frameId = navigation.frameId || 0;
+    var key = tabId + ':' + frameId;
+    var now = Date.now();
+    var last = lastNotifications[key];
+
+    // 同一次导航可能同时触发多个事件，只通知一次
+    if (last && last.url === url && now - last.time < NAVIGATION_DEDUPE_WINDOW) {
+      return;
+    }
+    lastNotifications[key] = { url: url, time: now };
+
+    console.log("发送URL变化通知: " + tabId + " (frame " + frameId + ", " + (navigation.source || 'complete') + ")");
     
-    try {
-      chrome.tabs.sendMessage(
-        tabId, 
-        {
-      action: 'urlChanged',
-          url: url
-        },
-        function() {
-          // 忽略连接错误，通常是内容脚本尚未加载
-        if (chrome.runtime.lastError) {
-            // 静默处理错误
+    MessageBus.call('urlChanged', {
+      url: url,
+      frameId: frameId,
+      source: navigation.source || 'complete',
+      transitionType: navigation.transitionType || null,
+      transitionQualifiers: navigation.transitionQualifiers || []
+    }, {
+      tabId: tabId,
+      frameId: frameId
+    }).catch(function() {
+      // 忽略连接错误，通常是内容脚本尚未加载
+    });
+  }
+
+  /**
+   * 获取框架通信请求的目标框架ID列表
+   * @param {number} tabId - 标签页ID
+   * @param {number} senderFrameId - 发送请求的框架ID
+   * @param {string|number} target - "children"、"top"、"all"或框架ID
+   * @returns {Promise<Array<number>>} 目标框架ID列表
+   */
+  function getTargetFrameIds(tabId, senderFrameId, target) {
+    if (typeof target === 'number') {
+      return Promise.resolve([target]);
+    }
+    if (target === 'top') {
+      return Promise.resolve([0]);
+    }
+
+    return new Promise(function(resolve) {
+      chrome.webNavigation.getAllFrames({ tabId: tabId }, function(frames) {
+        if (chrome.runtime.lastError || !frames) {
+          resolve([]);
+          return;
+        }
+
+        var parentMap = {};
+        frames.forEach(function(frame) {
+          parentMap[frame.frameId] = frame.parentFrameId;
+        });
+
+        // 判断框架是否为发送者的子孙框架
+        function isDescendant(frameId) {
+          var parentId = parentMap[frameId];
+          while (parentId !== undefined && parentId !== -1) {
+            if (parentId === senderFrameId) return true;
+            parentId = parentMap[parentId];
           }
+          return false;
+        }
+
+        resolve(frames.filter(function(frame) {
+          if (frame.frameId === senderFrameId) return false;
+          return target === 'all' || isDescendant(frame.frameId);
+        }).map(function(frame) {
+          return frame.frameId;
+        }));
+      });
+    });
+  }
+
+  /**
+   * 向指定框架转发命令，出错或超时时返回null
+   * @param {number} tabId - 标签页ID
+   * @param {number} frameId - 框架ID
+   * @param {Object} message - 转发的消息
+   * @param {number} timeout - 超时时间(毫秒)
+   * @returns {Promise<Object|null>} 框架的响应
+   */
+  function sendToFrame(tabId, frameId, message, timeout) {
+    return MessageBus.call('frameBridge.invoke', message, {
+      tabId: tabId,
+      frameId: frameId,
+      timeout: timeout
+    }).then(function(response) {
+      response.frameId = frameId;
+      return response;
+    }, function() {
+      // 框架未加载内容脚本或响应超时
+      return null;
+    });
+  }
+
+  /**
+   * 在同一标签页的框架之间转发FrameBridge命令，只返回注册了该命令的框架的响应
+   * @param {Object} request - 请求，包含name、payload、target和timeout
+   * @param {Object} sender - 请求发送者
+   * @returns {Promise<Array<Object>>} 响应数组
+   */
+  function relayFrameRequest(request, sender) {
+    var tabId = sender.tab.id;
+    var message = {
+      name: request.name,
+      payload: request.payload,
+      fromFrameId: sender.frameId
+    };
+
+    return getTargetFrameIds(tabId, sender.frameId, request.target)
+      .then(function(frameIds) {
+        return Promise.all(frameIds.map(function(frameId) {
+          return sendToFrame(tabId, frameId, message, request.timeout);
+        }));
+      })
+      .then(function(responses) {
+        return responses.filter(function(response) {
+          return response && response.handled;
+        }).map(function(response) {
+          return {
+            frameId: response.frameId,
+            url: response.url,
+            result: response.result,
+            error: response.error
+          };
+        });
+      });
+  }
+
+  /**
+   * 向子框架注入的内容脚本文件，与manifest中注入顶层页面的内容脚本相同且顺序一致
+   * @type {Array<string>}
+   */
+  var SUBFRAME_SCRIPT_FILES = chrome.runtime.getManifest().content_scripts.reduce(function(files, group) {
+    return files.concat(group.js || []);
+  }, []);
+
+  /**
+   * URL监控的页面环境钩子脚本，注入到页面自身的脚本环境
+   * @type {string}
+   */
+  var URL_MONITOR_PAGE_SCRIPT = 'core/urlMonitorPage.js';
+
+  /**
+   * 正在注入内容脚本的子框架文档，键为documentId，避免同一文档被重复注入
+   * @type {Object<string, Promise<boolean>>}
+   */
+  var injectingDocuments = {};
+
+  /**
+   * 向子框架文档注入内容脚本，文档中已有内容脚本时跳过
+   * @param {number} tabId - 标签页ID
+   * @param {string} documentId - 子框架的文档ID
+   * @returns {Promise<boolean>} 是否注入，失败时为false
+   */
+  function injectSubframe(tabId, documentId) {
+    if (injectingDocuments[documentId]) {
+      return injectingDocuments[documentId];
+    }
+
+    var target = { tabId: tabId, documentIds: [documentId] };
+    injectingDocuments[documentId] = callChromeApi(chrome.scripting, 'executeScript', [{
+      target: target,
+      func: function() {
+        return !!window.SiteManager;
+      }
+    }]).then(function(results) {
+      if (results && results[0] && results[0].result) return false;
+
+      return callChromeApi(chrome.scripting, 'executeScript', [{
+        target: target,
+        files: SUBFRAME_SCRIPT_FILES
+      }]).then(function() {
+        return true;
+      });
+    }).catch(function(error) {
+      // 框架已卸载或不允许注入，如浏览器内部页面
+      console.log("向子框架注入内容脚本失败: " + error.message);
+      return false;
+    }).finally(function() {
+      delete injectingDocuments[documentId];
+    });
+    return injectingDocuments[documentId];
+  }
+
+  /**
+   * 询问顶层页面哪些子框架属于需要在子框架中执行的站点，并向这些子框架注入内容脚本
+   * @param {number} tabId - 标签页ID
+   * @param {Array<Object>} frames - 框架信息，包含frameId、documentId和url
+   * @returns {Promise<Array<number>>} 注入了内容脚本的框架ID
+   */
+  function injectMatchingSubframes(tabId, frames) {
+    var candidates = frames.filter(function(frame) {
+      return frame.frameId !== 0 && frame.documentId && /^(https?|file):/.test(frame.url);
+    });
+    if (candidates.length === 0) {
+      return Promise.resolve([]);
+    }
+
+    return MessageBus.call('frames.matchSubframes', {
+      urls: candidates.map(function(frame) {
+        return frame.url;
+      })
+    }, {
+      tabId: tabId,
+      frameId: 0
+    }).then(function(matched) {
+      return Promise.all(candidates.filter(function(frame, index) {
+        return matched[index];
+      }).map(function(frame) {
+        return injectSubframe(tabId, frame.documentId).then(function(injected) {
+          return injected ? frame.frameId : null;
+        });
+      }));
+    }).then(function(frameIds) {
+      return frameIds.filter(function(frameId) {
+        return frameId !== null;
+      });
+    });
+  }
+
+  /**
+   * 顶层页面加载站点设置后请求向已有的子框架注入内容脚本，之后加载的子框架在加载完成时检查
+   * @returns {Promise<Array<number>>} 注入了内容脚本的框架ID
+   */
+  MessageBus.register('frames.injectSubframes', function(payload, sender) {
+    if (!sender.tab || sender.frameId !== 0) {
+      throw MessageBus.createError('INVALID_SENDER', '只有顶层页面可以请求注入子框架');
+    }
+
+    return callChromeApi(chrome.webNavigation, 'getAllFrames', [{ tabId: sender.tab.id }]).then(function(frames) {
+      return injectMatchingSubframes(sender.tab.id, frames || []);
+    });
+  });
+
+  /**
+   * 不支持Navigation API时，向发送者所在框架的页面环境注入URL监控的history钩子
+   * 通过scripting注入而不是<script>标签，钩子脚本无需声明为web_accessible_resources
+   * @returns {Promise<boolean>} 是否注入
+   */
+  MessageBus.register('urlMonitor.injectPageHook', function(payload, sender) {
+    if (!sender.tab) {
+      throw MessageBus.createError('INVALID_SENDER', 'URL监控钩子只能由内容脚本请求注入');
+    }
+
+    return callChromeApi(chrome.scripting, 'executeScript', [{
+      target: { tabId: sender.tab.id, frameIds: [sender.frameId] },
+      world: 'MAIN',
+      files: [URL_MONITOR_PAGE_SCRIPT]
+    }]).then(function() {
+      return true;
+    });
+  });
+
+  /**
+   * 处理内容脚本的框架通信请求
+   */
+  MessageBus.register('frameBridge.request', function(request, sender) {
+    if (!sender.tab) {
+      throw MessageBus.createError('INVALID_SENDER', '框架通信只能由内容脚本发起');
+    }
+    return relayFrameRequest(request, sender);
+  });
+
+  /**
+   * 以Promise形式调用基于回调的chrome API，出错时以CHROME_API_ERROR拒绝
+   * @param {Object} api - API对象，如chrome.downloads
+   * @param {string} method - 方法名称
+   * @param {Array} args - 除回调外的参数
+   * @returns {Promise<*>} 回调收到的结果
+   */
+  function callChromeApi(api, method, args) {
+    return new Promise(function(resolve, reject) {
+      api[method].apply(api, args.concat([function(result) {
+        if (chrome.runtime.lastError) {
+          reject(MessageBus.createError('CHROME_API_ERROR', chrome.runtime.lastError.message));
+          return;
         }
-      );
+        resolve(result);
+      }]));
+    });
+  }
+
+  /**
+   * 获取页面的访问允许列表，chrome.storage.local中保存的列表优先于默认列表
+   * 代理请求、Cookie读取和下载共用同一个列表
+   * @returns {Promise<Object<string, Array<string>>>} 键为页面的主机匹配模式，值为允许访问的目标主机匹配模式
+   */
+  function getFetchAllowList() {
+    return new Promise(function(resolve) {
+      chrome.storage.local.get(FETCH_ALLOW_LIST_KEY, function(result) {
+        resolve((result && result[FETCH_ALLOW_LIST_KEY]) || DEFAULT_FETCH_ALLOW_LIST);
+      });
+    });
+  }
+
+  /**
+   * 代理请求服务，允许列表检查、响应解析和缓存见core/proxyFetchService.js
+   */
+  var fetchService = ProxyFetchService.create({
+    getAllowList: getFetchAllowList,
+    createError: MessageBus.createError,
+    timeout: FETCH_TIMEOUT,
+    cacheLimit: FETCH_CACHE_LIMIT
+  });
+
+  /**
+   * 解析调用方传入的地址
+   * @param {string} url - 地址
+   * @returns {URL} 解析后的URL对象
+   * @throws {Error} 地址无效时抛出INVALID_PAYLOAD错误
+   */
+  function parseTargetUrl(url) {
+    try {
+      return new URL(url);
     } catch (error) {
-      // 静默处理错误
+      throw MessageBus.createError('INVALID_PAYLOAD', '无效的地址: ' + url);
     }
   }
 
   /**
-   * 监听标签页更新事件
+   * 将Cookie的域名转换为用于检查允许列表的URL，按https检查
+   * @param {string} domain - Cookie域名，可带"."前缀
+   * @returns {URL} URL对象
    */
-  chrome.tabs.onUpdated.addListener(function(tabId, changeInfo, tab) {
-    if (changeInfo.status === 'complete' && tab.url) {
-      notifyTabUrlChanged(tabId, tab.url);
+  function getCookieDomainUrl(domain) {
+    return parseTargetUrl('https://' + String(domain).replace(/^\./, '') + '/');
+  }
+
+  /**
+   * 下载文件，下载地址需在发送者的允许列表中；页面自身生成的data:和blob:地址不受限制
+   * payload为chrome.downloads.download的参数，如{url, filename, saveAs}，结果为下载ID
+   */
+  MessageBus.register('downloads.download', function(payload, sender) {
+    if (!payload || !payload.url) {
+      throw MessageBus.createError('INVALID_PAYLOAD', '下载需要提供url');
+    }
+
+    var targetUrl = parseTargetUrl(payload.url);
+    var pageGenerated = targetUrl.protocol === 'data:' ||
+      (targetUrl.protocol === 'blob:' && !!sender.url && targetUrl.origin === new URL(sender.url).origin);
+
+    return (pageGenerated ? Promise.resolve() : fetchService.checkAllowed(sender, targetUrl)).then(function() {
+      return callChromeApi(chrome.downloads, 'download', [payload]);
+    });
+  });
+
+  /**
+   * 读取单个Cookie，url需在发送者的允许列表中，payload为{url, name}，结果为Cookie对象或null
+   */
+  MessageBus.register('cookies.get', function(payload, sender) {
+    if (!payload || !payload.url || !payload.name) {
+      throw MessageBus.createError('INVALID_PAYLOAD', '读取Cookie需要提供url和name');
+    }
+
+    return fetchService.checkAllowed(sender, parseTargetUrl(payload.url)).then(function() {
+      return callChromeApi(chrome.cookies, 'get', [{ url: payload.url, name: payload.name }]);
+    });
+  });
+
+  /**
+   * 读取符合条件的所有Cookie，必须提供url或domain筛选条件，且需在发送者的允许列表中
+   * domain会同时匹配子域名的Cookie，返回前再按每个Cookie的域名检查允许列表
+   * payload为{url, domain, name, path, secure, session}中的筛选条件，结果为Cookie数组
+   */
+  MessageBus.register('cookies.getAll', function(payload, sender) {
+    if (!payload || (!payload.url && !payload.domain)) {
+      throw MessageBus.createError('INVALID_PAYLOAD', '读取Cookie需要提供url或domain');
+    }
+
+    var filter = {};
+    ['url', 'domain', 'name', 'path', 'secure', 'session'].forEach(function(key) {
+      if (payload[key] !== undefined) {
+        filter[key] = payload[key];
+      }
+    });
+
+    var checks = [];
+    if (filter.url) {
+      checks.push(fetchService.checkAllowed(sender, parseTargetUrl(filter.url)));
+    }
+    if (filter.domain) {
+      checks.push(fetchService.checkAllowed(sender, getCookieDomainUrl(filter.domain)));
+    }
+
+    return Promise.all(checks).then(function() {
+      return Promise.all([callChromeApi(chrome.cookies, 'getAll', [filter]), getFetchAllowList()]);
+    }).then(function(results) {
+      var cookies = results[0] || [];
+      if (!sender.tab) return cookies;
+
+      var senderUrl = new URL(sender.url || sender.tab.url);
+      return cookies.filter(function(cookie) {
+        return ProxyFetchService.isAllowed(results[1], senderUrl, getCookieDomainUrl(cookie.domain));
+      });
+    });
+  });
+
+  /**
+   * 由后台发起跨域请求，目标主机需在发送者的允许列表中，参数见ProxyFetchService
+   * @param {Object} payload - 请求参数
+   * @param {Object} sender - 请求发送者
+   * @returns {Promise<Object>} 包含ok、status、statusText、url、headers、body和fromCache的响应
+   */
+  function proxyFetch(payload, sender) {
+    return fetchService.request(payload, sender);
+  }
+
+  MessageBus.register('fetch', proxyFetch);
+
+  /**
+   * 获取跨标签页事件订阅，首次调用时从chrome.storage.session恢复
+   * @returns {Promise<Object>} 订阅表
+   */
+  function loadSubscriptions() {
+    if (!subscriptionsPromise) {
+      subscriptionsPromise = new Promise(function(resolve) {
+        chrome.storage.session.get(SUBSCRIPTIONS_KEY, function(result) {
+          resolve((result && result[SUBSCRIPTIONS_KEY]) || {});
+        });
+      });
+    }
+    return subscriptionsPromise;
+  }
+
+  /**
+   * 修改订阅表并保存
+   * @param {Function} update - 接收订阅表并直接修改它，返回false表示未修改，不写入存储
+   * @returns {Promise<void>}
+   */
+  function updateSubscriptions(update) {
+    return loadSubscriptions().then(function(subscriptions) {
+      if (update(subscriptions) === false) return;
+
+      var data = {};
+      data[SUBSCRIPTIONS_KEY] = subscriptions;
+      chrome.storage.session.set(data);
+    });
+  }
+
+  /**
+   * 删除符合条件的框架的全部订阅，没有符合条件的框架时不写入存储
+   * @param {Function} predicate - 接收"标签页ID:框架ID"键，返回true时删除
+   * @returns {Promise<void>}
+   */
+  function removeFrameSubscriptions(predicate) {
+    return updateSubscriptions(function(subscriptions) {
+      var keys = Object.keys(subscriptions).filter(predicate);
+      if (keys.length === 0) return false;
+
+      keys.forEach(function(key) {
+        delete subscriptions[key];
+      });
+    });
+  }
+
+  /**
+   * 记录内容脚本的事件订阅
+   */
+  MessageBus.register('tabEvents.subscribe', function(payload, sender) {
+    if (!sender.tab) {
+      throw MessageBus.createError('INVALID_SENDER', '跨标签页事件只能由内容脚本订阅');
     }
+
+    var key = sender.tab.id + ':' + sender.frameId;
+    return updateSubscriptions(function(subscriptions) {
+      subscriptions[key] = subscriptions[key] || {};
+      subscriptions[key][payload.id] = {
+        topic: payload.topic,
+        site: payload.site || null
+      };
+    });
+  });
+
+  /**
+   * 取消内容脚本的事件订阅
+   */
+  MessageBus.register('tabEvents.unsubscribe', function(payload, sender) {
+    if (!sender.tab) return;
+
+    var key = sender.tab.id + ':' + sender.frameId;
+    return updateSubscriptions(function(subscriptions) {
+      if (!subscriptions[key] || !subscriptions[key][payload.id]) return false;
+
+      delete subscriptions[key][payload.id];
+      if (Object.keys(subscriptions[key]).length === 0) {
+        delete subscriptions[key];
+      }
+    });
+  });
+
+  /**
+   * 将事件投递给所有匹配主题和站点的订阅，默认不投递给发布者所在的标签页
+   * 投递失败的框架已不存在或已刷新，移除其订阅
+   * @param {Object} payload - 事件，包含topic、site、data和includeSelf
+   * @param {Object} sender - 发布者，后台发布时为空对象
+   * @returns {Promise<number>} 收到事件的订阅数
+   */
+  function publishTabEvent(payload, sender) {
+    var sourceTabId = sender.tab ? sender.tab.id : null;
+    var meta = {
+      topic: payload.topic,
+      site: payload.site || null,
+      tabId: sourceTabId,
+      frameId: sender.tab ? sender.frameId : null,
+      url: sender.url || '',
+      timestamp: Date.now()
+    };
+
+    return loadSubscriptions().then(function(subscriptions) {
+      var deliveries = Object.keys(subscriptions).map(function(key) {
+        var parts = key.split(':');
+        var tabId = Number(parts[0]);
+        var frameId = Number(parts[1]);
+
+        if (tabId === sourceTabId && !payload.includeSelf) {
+          return Promise.resolve(0);
+        }
+
+        var ids = Object.keys(subscriptions[key]).filter(function(id) {
+          var subscription = subscriptions[key][id];
+          var topicMatched = subscription.topic === '*' || subscription.topic === payload.topic;
+          var siteMatched = !subscription.site || subscription.site === meta.site;
+          return topicMatched && siteMatched;
+        });
+        if (ids.length === 0) {
+          return Promise.resolve(0);
+        }
+
+        return MessageBus.call('tabEvents.deliver', {
+          ids: ids,
+          data: payload.data,
+          meta: meta
+        }, {
+          tabId: tabId,
+          frameId: frameId
+        }).catch(function(error) {
+          if (error.code === MessageBus.ERROR_CODES.NO_RECEIVER) {
+            removeFrameSubscriptions(function(candidate) {
+              return candidate === key;
+            });
+          }
+          return 0;
+        });
+      });
+
+      return Promise.all(deliveries);
+    }).then(function(counts) {
+      return counts.reduce(function(sum, count) {
+        return sum + count;
+      }, 0);
+    });
+  }
+
+  MessageBus.register('tabEvents.publish', publishTabEvent);
+
+  /**
+   * 获取任务键，任务名称只需在所属站点内唯一，不属于任何站点的任务使用空站点名
+   * 站点名和任务名分别编码，两者都可以包含"/"
+   * @param {string|null} site - 所属站点名称
+   * @param {string} name - 任务名称
+   * @returns {string} 任务键，格式为"站点/名称"
+   */
+  function getJobKey(site, name) {
+    return encodeURIComponent(site || '') + '/' + encodeURIComponent(name);
+  }
+
+  /**
+   * 获取定时任务记录，首次调用时从chrome.storage.local读取
+   * @returns {Promise<Object<string, Object>>} 任务记录，键为任务键
+   */
+  function loadJobs() {
+    if (!jobsPromise) {
+      jobsPromise = new Promise(function(resolve) {
+        chrome.storage.local.get(JOBS_KEY, function(result) {
+          resolve((result && result[JOBS_KEY]) || {});
+        });
+      });
+    }
+    return jobsPromise;
+  }
+
+  /**
+   * 保存定时任务记录
+   * @param {Object<string, Object>} jobs - 任务记录
+   */
+  function saveJobs(jobs) {
+    var data = {};
+    data[JOBS_KEY] = jobs;
+    chrome.storage.local.set(data);
+  }
+
+  /**
+   * 校验定时任务定义
+   * @param {Object} definition - 任务定义
+   * @throws {Error} 格式错误时抛出INVALID_JOB错误
+   */
+  function validateJobDefinition(definition) {
+    function fail(message) {
+      throw MessageBus.createError('INVALID_JOB', message);
+    }
+
+    if (!definition || typeof definition.name !== 'string' || !definition.name) {
+      fail('定时任务缺少name');
+    }
+
+    var prefix = '定时任务"' + definition.name + '"';
+    if (definition.site !== undefined && definition.site !== null && typeof definition.site !== 'string') {
+      fail(prefix + '的site必须是字符串');
+    }
+    if (typeof definition.periodInMinutes !== 'number' || definition.periodInMinutes < MIN_JOB_PERIOD) {
+      fail(prefix + '的periodInMinutes必须是不小于' + MIN_JOB_PERIOD + '的数字');
+    }
+    if (definition.delayInMinutes !== undefined &&
+        (typeof definition.delayInMinutes !== 'number' || definition.delayInMinutes < 0)) {
+      fail(prefix + '的delayInMinutes必须是非负数字');
+    }
+    if (definition.missedRunPolicy !== undefined && MISSED_RUN_POLICIES.indexOf(definition.missedRunPolicy) === -1) {
+      fail(prefix + '的missedRunPolicy必须是' + MISSED_RUN_POLICIES.join('、') + '之一');
+    }
+    if (!definition.fetch === !definition.tab) {
+      fail(prefix + '必须且只能设置fetch或tab之一');
+    }
+    if (definition.fetch && !definition.fetch.url) {
+      fail(prefix + '的fetch缺少url');
+    }
+    if (definition.tab && !definition.tab.url) {
+      fail(prefix + '的tab缺少url');
+    }
+  }
+
+  /**
+   * 为任务创建alarm并记录下一次执行时间
+   * @param {Object} job - 任务记录
+   * @param {number} delayInMinutes - 首次执行的延迟(分钟)
+   */
+  function createJobAlarm(job, delayInMinutes) {
+    chrome.alarms.create(JOB_ALARM_PREFIX + getJobKey(job.definition.site, job.definition.name), {
+      delayInMinutes: delayInMinutes,
+      periodInMinutes: job.definition.periodInMinutes
+    });
+    job.nextRun = Date.now() + delayInMinutes * 60000;
+  }
+
+  /**
+   * 注册或更新定时任务，同一站点内同名任务的定义未变化时保留原有的执行计划
+   * @param {Object} definition - 任务定义
+   * @param {Object} sender - 注册者，fetch任务以其页面地址检查请求允许列表
+   * @returns {Promise<Object>} 任务记录
+   */
+  function scheduleJob(definition, sender) {
+    validateJobDefinition(definition);
+
+    return loadJobs().then(function(jobs) {
+      var key = getJobKey(definition.site, definition.name);
+      var existing = jobs[key];
+      if (existing && JSON.stringify(existing.definition) === JSON.stringify(definition)) {
+        return existing;
+      }
+
+      var job = Object.assign({
+        createdAt: Date.now(),
+        lastRun: null,
+        lastResult: null,
+        runCount: 0,
+        missedRuns: 0
+      }, existing, {
+        definition: definition,
+        origin: sender.tab ? sender.url || sender.tab.url : null,
+        updatedAt: Date.now()
+      });
+
+      var delay = definition.delayInMinutes !== undefined ? definition.delayInMinutes : definition.periodInMinutes;
+      createJobAlarm(job, Math.max(delay, MIN_JOB_PERIOD));
+      jobs[key] = job;
+      saveJobs(jobs);
+      return job;
+    });
+  }
+
+  /**
+   * 取消定时任务
+   * @param {string} key - 任务键
+   * @returns {Promise<boolean>} 是否找到并取消了该任务
+   */
+  function cancelJob(key) {
+    chrome.alarms.clear(JOB_ALARM_PREFIX + key);
+
+    return loadJobs().then(function(jobs) {
+      if (!jobs[key]) return false;
+
+      delete jobs[key];
+      saveJobs(jobs);
+      return true;
+    });
+  }
+
+  /**
+   * 等待标签页加载完成
+   * @param {number} tabId - 标签页ID
+   * @param {number} timeout - 超时时间(毫秒)
+   * @returns {Promise<void>}
+   */
+  function waitForTabComplete(tabId, timeout) {
+    return new Promise(function(resolve, reject) {
+      var timer = setTimeout(function() {
+        chrome.tabs.onUpdated.removeListener(onUpdated);
+        reject(MessageBus.createError(MessageBus.ERROR_CODES.TIMEOUT, '等待标签页加载超时'));
+      }, timeout);
+
+      function onUpdated(updatedTabId, changeInfo) {
+        if (updatedTabId === tabId && changeInfo.status === 'complete') {
+          finish();
+        }
+      }
+
+      function finish() {
+        clearTimeout(timer);
+        chrome.tabs.onUpdated.removeListener(onUpdated);
+        resolve();
+      }
+
+      chrome.tabs.onUpdated.addListener(onUpdated);
+      chrome.tabs.get(tabId, function(tab) {
+        if (chrome.runtime.lastError) return;
+        if (tab.status === 'complete' && !tab.discarded) {
+          finish();
+        }
+      });
+    });
+  }
+
+  /**
+   * 查找URL以指定地址开头的标签页，没有时按需在后台打开，已丢弃的标签页会被重新加载
+   * @param {Object} target - 任务的tab配置
+   * @returns {Promise<{tabId: number, opened: boolean}>} 目标标签页及是否由任务打开
+   */
+  function findOrOpenJobTab(target) {
+    return callChromeApi(chrome.tabs, 'query', [{}]).then(function(tabs) {
+      var tab = tabs.filter(function(candidate) {
+        return candidate.url && candidate.url.indexOf(target.url) === 0;
+      })[0];
+
+      if (tab) {
+        if (tab.discarded) {
+          chrome.tabs.reload(tab.id);
+        }
+        return { tabId: tab.id, opened: false };
+      }
+
+      if (target.openIfMissing === false) {
+        throw MessageBus.createError('NO_TARGET_TAB', '没有打开的标签页: ' + target.url);
+      }
+      return callChromeApi(chrome.tabs, 'create', [{ url: target.url, active: false }]).then(function(created) {
+        return { tabId: created.id, opened: true };
+      });
+    });
+  }
+
+  /**
+   * 在目标标签页中执行任务：调用内容脚本中通过Scheduler.handle注册的处理函数
+   * 页面加载后处理函数可能尚未注册，在超时前按间隔重试；每次调用的执行时间受tab.runTimeout限制
+   * @param {Object} job - 任务记录
+   * @returns {Promise<*>} 处理函数的返回值
+   */
+  function runTabJob(job) {
+    var definition = job.definition;
+    var target = definition.tab;
+    var deadline = Date.now() + (target.readyTimeout || JOB_TAB_READY_TIMEOUT);
+
+    return findOrOpenJobTab(target).then(function(found) {
+      function attempt() {
+        return MessageBus.call('scheduler.run', {
+          site: definition.site || null,
+          name: definition.name,
+          payload: definition.payload
+        }, {
+          tabId: found.tabId,
+          timeout: target.runTimeout || JOB_TAB_RUN_TIMEOUT
+        }).catch(function(error) {
+          var notReady = error.code === MessageBus.ERROR_CODES.NO_RECEIVER || error.code === 'NO_JOB_HANDLER';
+          if (!notReady || Date.now() + JOB_TAB_RETRY_INTERVAL > deadline) {
+            throw error;
+          }
+          return new Promise(function(resolve) {
+            setTimeout(resolve, JOB_TAB_RETRY_INTERVAL);
+          }).then(attempt);
+        });
+      }
+
+      return waitForTabComplete(found.tabId, Math.max(deadline - Date.now(), 0))
+        .then(attempt)
+        .finally(function() {
+          // 任务打开的标签页在执行后关闭
+          if (found.opened && !target.keepOpen) {
+            chrome.tabs.remove(found.tabId);
+          }
+        });
+    });
+  }
+
+  /**
+   * 执行定时任务，记录结果并以"scheduler.任务名称"为主题、按所属站点广播给各标签页
+   * @param {string} key - 任务键
+   * @param {string} trigger - 触发方式："alarm"、"catchUp"或"manual"
+   * @returns {Promise<Object|null>} 本次执行结果，任务不存在或正在执行时为null
+   */
+  function runJob(key, trigger) {
+    if (runningJobs[key]) {
+      return Promise.resolve(null);
+    }
+
+    return loadJobs().then(function(jobs) {
+      var job = jobs[key];
+      if (!job) return null;
+
+      runningJobs[key] = true;
+      var startedAt = Date.now();
+      var execution = job.definition.fetch
+        ? proxyFetch(job.definition.fetch, job.origin ? { tab: { url: job.origin }, url: job.origin } : {})
+        : runTabJob(job);
+
+      return execution.then(function(value) {
+        return { ok: true, value: value };
+      }, function(error) {
+        return { ok: false, error: { code: error.code || 'JOB_ERROR', message: error.message || String(error) } };
+      }).then(function(result) {
+        delete runningJobs[key];
+        result.trigger = trigger;
+        result.duration = Date.now() - startedAt;
+
+        // 执行期间任务可能已被取消
+        if (jobs[key] === job) {
+          job.lastRun = startedAt;
+          job.lastResult = result;
+          job.runCount++;
+          saveJobs(jobs);
+        }
+
+        publishTabEvent({
+          topic: 'scheduler.' + job.definition.name,
+          site: job.definition.site || null,
+          data: { name: job.definition.name, site: job.definition.site || null, result: result }
+        }, {});
+        return result;
+      });
+    });
+  }
+
+  /**
+   * 处理定时任务的alarm，延迟超过一个周期视为错过了执行时间
+   * @param {Object} alarm - 触发的alarm
+   */
+  function handleJobAlarm(alarm) {
+    var key = alarm.name.slice(JOB_ALARM_PREFIX.length);
+
+    loadJobs().then(function(jobs) {
+      var job = jobs[key];
+      if (!job) {
+        chrome.alarms.clear(alarm.name);
+        return;
+      }
+
+      var periodMs = job.definition.periodInMinutes * 60000;
+      var missed = Math.floor((Date.now() - alarm.scheduledTime) / periodMs);
+      job.nextRun = alarm.scheduledTime + periodMs * (missed + 1);
+
+      if (missed <= 0) {
+        saveJobs(jobs);
+        runJob(key, 'alarm');
+        return;
+      }
+
+      job.missedRuns += missed;
+      saveJobs(jobs);
+      if ((job.definition.missedRunPolicy || 'runOnce') === 'runOnce') {
+        runJob(key, 'catchUp');
+      }
+    });
+  }
+
+  /**
+   * 后台启动时核对任务与alarm，浏览器重启后丢失的alarm按记录的执行时间重建，已错过的按missedRunPolicy处理
+   */
+  function restoreJobAlarms() {
+    loadJobs().then(function(jobs) {
+      Object.keys(jobs).forEach(function(key) {
+        chrome.alarms.get(JOB_ALARM_PREFIX + key, function(alarm) {
+          if (alarm) return;
+
+          var job = jobs[key];
+          var delay = Math.max((job.nextRun - Date.now()) / 60000, MIN_JOB_PERIOD);
+          var missed = job.nextRun && job.nextRun < Date.now();
+
+          createJobAlarm(job, missed ? job.definition.periodInMinutes : delay);
+          if (missed) {
+            job.missedRuns++;
+          }
+          saveJobs(jobs);
+
+          if (missed && (job.definition.missedRunPolicy || 'runOnce') === 'runOnce') {
+            runJob(key, 'catchUp');
+          }
+        });
+      });
+    });
+  }
+
+  MessageBus.register('scheduler.schedule', scheduleJob);
+
+  MessageBus.register('scheduler.cancel', function(payload) {
+    return cancelJob(getJobKey(payload.site, payload.name));
+  });
+
+  MessageBus.register('scheduler.runNow', function(payload) {
+    return runJob(getJobKey(payload.site, payload.name), 'manual');
+  });
+
+  MessageBus.register('scheduler.list', function() {
+    return loadJobs().then(function(jobs) {
+      return Object.keys(jobs).map(function(key) {
+        return jobs[key];
+      });
+    });
+  });
+
+  chrome.alarms.onAlarm.addListener(function(alarm) {
+    if (alarm.name.indexOf(JOB_ALARM_PREFIX) === 0) {
+      handleJobAlarm(alarm);
+    }
+  });
+
+  // 每次后台启动时核对，包括浏览器重启和后台被挂起后重新唤醒
+  restoreJobAlarms();
+
+  /**
+   * 在队列中对chrome.storage.local中的一条记录执行读改写，多个标签页同时写入时不会互相覆盖
+   * @param {string} key - chrome.storage.local中的键
+   * @param {Function} update - 接收当前数据(不存在时为null)，返回新数据；返回null时删除该记录
+   * @returns {Promise<Object|null>} 写入后的数据
+   */
+  function updateSharedRecord(key, update) {
+    var task = sharedWriteQueue.then(function() {
+      return callChromeApi(chrome.storage.local, 'get', [key]);
+    }).then(function(result) {
+      var data = update((result && result[key]) || null);
+      if (data === null) {
+        return callChromeApi(chrome.storage.local, 'remove', [key]).then(function() {
+          return null;
+        });
+      }
+
+      var items = {};
+      items[key] = data;
+      return callChromeApi(chrome.storage.local, 'set', [items]).then(function() {
+        return data;
+      });
+    });
+
+    // 一次写入失败不影响之后的写入
+    sharedWriteQueue = task.catch(function() {});
+    return task;
+  }
+
+  /**
+   * 判断是否为可合并的旧共享存储记录
+   * @param {*} record - 记录
+   * @returns {boolean} name以shared_开头且data为对象时返回true
+   */
+  function isSharedRecord(record) {
+    return !!record && typeof record.name === 'string' && record.name.indexOf('shared_') === 0 &&
+      !!record.data && typeof record.data === 'object' && !Array.isArray(record.data);
+  }
+
+  /**
+   * 将网页来源中旧版本保存的共享存储合并到扩展存储，扩展存储中已有的字段优先，然后记录该来源已迁移
+   * 各标签页的迁移经同一队列依次合并，不会互相覆盖；迁移标记保存在扩展存储中，不写入网页的存储
+   * @returns {Promise<void>}
+   */
+  MessageBus.register('storage.mergeShared', function(payload, sender) {
+    if (!payload || !Array.isArray(payload.records) || !payload.records.every(isSharedRecord)) {
+      throw MessageBus.createError('INVALID_PAYLOAD', '合并共享存储需要提供records数组，每项包含shared_开头的name和对象data');
+    }
+
+    var origin = parseTargetUrl(sender.url).origin;
+    return payload.records.reduce(function(chain, record) {
+      return chain.then(function() {
+        return updateSharedRecord('site_' + record.name, function(existing) {
+          return Object.assign({}, record.data, existing);
+        });
+      });
+    }, Promise.resolve()).then(function() {
+      return updateSharedRecord(MIGRATED_ORIGINS_KEY, function(origins) {
+        var update = {};
+        update[origin] = Date.now();
+        return Object.assign({}, origins, update);
+      });
+    }).then(function() {});
+  });
+
+  /**
+   * 将共享存储修改过的字段合并到扩展存储，值为null的字段被删除，合并后为空时删除该记录
+   * 页面和选项页的写入经同一队列依次读改写，同时修改不同字段时不会互相覆盖；错误日志只能通过errorLog.*动作修改
+   * @returns {Promise<void>}
+   */
+  MessageBus.register('storage.updateShared', function(payload) {
+    if (!payload || typeof payload.name !== 'string' || payload.name.indexOf('shared_') !== 0 ||
+        !payload.changes || typeof payload.changes !== 'object' || Array.isArray(payload.changes)) {
+      throw MessageBus.createError('INVALID_PAYLOAD', '写入共享存储需要提供shared_开头的name和对象changes');
+    }
+    if ('site_' + payload.name === ERROR_LOG_KEY) {
+      throw MessageBus.createError('INVALID_PAYLOAD', '错误日志只能通过errorLog.*动作修改');
+    }
+
+    return updateSharedRecord('site_' + payload.name, function(existing) {
+      var data = Object.assign({}, payload.replace ? null : existing);
+      Object.keys(payload.changes).forEach(function(field) {
+        if (payload.changes[field] === null) {
+          delete data[field];
+        } else {
+          data[field] = payload.changes[field];
+        }
+      });
+      return Object.keys(data).length > 0 ? data : null;
+    }).then(function() {});
+  });
+
+  /**
+   * 追加一条错误日志，由后台统一写入
+   * @returns {Promise<Object>} 保存的日志条目
+   */
+  MessageBus.register('errorLog.append', function(entry) {
+    if (!entry || typeof entry !== 'object') {
+      throw MessageBus.createError('INVALID_PAYLOAD', '错误日志条目必须是对象');
+    }
+
+    return updateSharedRecord(ERROR_LOG_KEY, function(data) {
+      var entries = ((data && data.entries) || []).concat([entry]);
+      return Object.assign({}, data, {
+        entries: entries.slice(Math.max(entries.length - ERROR_LOG_MAX_ENTRIES, 0))
+      });
+    }).then(function() {
+      return entry;
+    });
+  });
+
+  /**
+   * 获取全部错误日志，按时间从早到晚排列
+   * @returns {Promise<Array<Object>>} 日志条目数组
+   */
+  MessageBus.register('errorLog.list', function() {
+    return callChromeApi(chrome.storage.local, 'get', [ERROR_LOG_KEY]).then(function(result) {
+      var data = result && result[ERROR_LOG_KEY];
+      return (data && data.entries) || [];
+    });
+  });
+
+  /**
+   * 清空错误日志
+   * @returns {Promise<void>}
+   */
+  MessageBus.register('errorLog.clear', function() {
+    return updateSharedRecord(ERROR_LOG_KEY, function() {
+      return null;
+    }).then(function() {});
+  });
+
+  /**
+   * 获取通知状态，首次调用时从chrome.storage.session恢复
+   * @returns {Promise<Object>} 包含active、recent和sent的通知状态
+   */
+  function loadNotificationState() {
+    if (!notificationStatePromise) {
+      notificationStatePromise = new Promise(function(resolve) {
+        chrome.storage.session.get(NOTIFICATIONS_KEY, function(result) {
+          resolve((result && result[NOTIFICATIONS_KEY]) || { active: {}, recent: {}, sent: {} });
+        });
+      });
+    }
+    return notificationStatePromise;
+  }
+
+  /**
+   * 保存通知状态，同时清理过期的去重和限流记录
+   * @param {Object} notificationState - 通知状态
+   */
+  function saveNotificationState(notificationState) {
+    var now = Date.now();
+    Object.keys(notificationState.recent).forEach(function(id) {
+      if (now - notificationState.recent[id] >= NOTIFICATION_DEDUPE_WINDOW) {
+        delete notificationState.recent[id];
+      }
+    });
+    Object.keys(notificationState.sent).forEach(function(site) {
+      notificationState.sent[site] = notificationState.sent[site].filter(function(time) {
+        return now - time < NOTIFICATION_RATE_WINDOW;
+      });
+      if (notificationState.sent[site].length === 0) {
+        delete notificationState.sent[site];
+      }
+    });
+
+    var data = {};
+    data[NOTIFICATIONS_KEY] = notificationState;
+    chrome.storage.session.set(data);
+  }
+
+  /**
+   * 判断站点的桌面通知是否已在站点设置中静音
+   * @param {string} site - 站点名称
+   * @returns {Promise<boolean>} 是否已静音
+   */
+  function isNotificationMuted(site) {
+    return callChromeApi(chrome.storage.local, 'get', [SITE_SETTINGS_KEY]).then(function(result) {
+      var settings = result && result[SITE_SETTINGS_KEY];
+      var siteSettings = settings && settings.sites && settings.sites[site];
+      return !!siteSettings && siteSettings.notificationsMuted === true;
+    });
+  }
+
+  /**
+   * 显示桌面通知，已静音的站点不显示，按站点和去重键去重，按站点限流
+   * @param {Object} payload - 通知配置，见core/notifier.js
+   * @param {Object} sender - 发送者，点击动作作用于该标签页
+   * @returns {Promise<Object>} 包含id、shown，未显示时包含reason("muted"、"duplicate"或"rateLimited")
+   */
+  function showNotification(payload, sender) {
+    if (!payload || !payload.site || !payload.title || !payload.message) {
+      return Promise.reject(MessageBus.createError('INVALID_PAYLOAD', '通知需要提供site、title和message'));
+    }
+
+    var buttons = (payload.buttons || []).slice(0, 2);
+    var id = NOTIFICATION_ID_PREFIX + payload.site + ':' +
+      (payload.key || Date.now() + '-' + Math.random().toString(36).slice(2));
+
+    return Promise.all([isNotificationMuted(payload.site), loadNotificationState()]).then(function(results) {
+      var notificationState = results[1];
+      var now = Date.now();
+
+      if (results[0]) {
+        return { id: null, shown: false, reason: 'muted' };
+      }
+
+      if (notificationState.active[id] || (now - (notificationState.recent[id] || 0)) < NOTIFICATION_DEDUPE_WINDOW) {
+        return { id: id, shown: false, reason: 'duplicate' };
+      }
+
+      var sent = (notificationState.sent[payload.site] || []).filter(function(time) {
+        return now - time < NOTIFICATION_RATE_WINDOW;
+      });
+      if (sent.length >= NOTIFICATION_RATE_LIMIT) {
+        return { id: id, shown: false, reason: 'rateLimited' };
+      }
+
+      notificationState.active[id] = {
+        site: payload.site,
+        tabId: sender.tab ? sender.tab.id : null,
+        action: payload.action || { type: 'focusTab' },
+        buttons: buttons.map(function(button) {
+          return button.action || { type: 'focusTab' };
+        })
+      };
+      notificationState.recent[id] = now;
+      notificationState.sent[payload.site] = sent.concat([now]);
+      saveNotificationState(notificationState);
+
+      return callChromeApi(chrome.notifications, 'create', [id, {
+        type: 'basic',
+        iconUrl: payload.iconUrl || DEFAULT_NOTIFICATION_ICON,
+        title: payload.title,
+        message: payload.message,
+        contextMessage: payload.site,
+        requireInteraction: !!payload.requireInteraction,
+        buttons: buttons.map(function(button) {
+          return { title: button.title };
+        })
+      }]).then(function() {
+        return { id: id, shown: true };
+      }, function(error) {
+        delete notificationState.active[id];
+        saveNotificationState(notificationState);
+        throw error;
+      });
+    });
+  }
+
+  /**
+   * 切换到标签页并聚焦其所在窗口
+   * @param {number|null} tabId - 标签页ID
+   * @returns {Promise<Object|null>} 标签页，已关闭时为null
+   */
+  function focusTab(tabId) {
+    if (tabId === null) {
+      return Promise.resolve(null);
+    }
+
+    return callChromeApi(chrome.tabs, 'update', [tabId, { active: true }]).then(function(tab) {
+      chrome.windows.update(tab.windowId, { focused: true });
+      return tab;
+    }, function() {
+      return null;
+    });
+  }
+
+  /**
+   * 执行通知的点击动作，发出通知的标签页已关闭时navigate在新标签页中打开
+   * @param {Object} record - 通知记录
+   * @param {Object} action - 点击动作
+   * @returns {Promise<void>}
+   */
+  function runNotificationAction(record, action) {
+    return focusTab(record.tabId).then(function(tab) {
+      if (action.type === 'navigate' && action.url) {
+        if (tab) {
+          chrome.tabs.update(tab.id, { url: action.url });
+        } else {
+          chrome.tabs.create({ url: action.url });
+        }
+      } else if (action.type === 'modal' && tab) {
+        return MessageBus.call('notifications.showModal', action, { tabId: tab.id }).catch(function(error) {
+          console.log("无法在标签页中显示通知内容: " + error.message);
+        });
+      }
+    });
+  }
+
+  /**
+   * 处理通知或通知按钮的点击，执行后关闭通知
+   * @param {string} id - 通知ID
+   * @param {number} [buttonIndex] - 按钮索引，点击通知本身时不传
+   */
+  function handleNotificationClick(id, buttonIndex) {
+    if (id.indexOf(NOTIFICATION_ID_PREFIX) !== 0) return;
+
+    loadNotificationState().then(function(notificationState) {
+      var record = notificationState.active[id];
+      if (!record) return;
+
+      var action = buttonIndex === undefined ? record.action : record.buttons[buttonIndex];
+      runNotificationAction(record, action || { type: 'focusTab' });
+      chrome.notifications.clear(id);
+    });
+  }
+
+  MessageBus.register('notifications.notify', showNotification);
+
+  chrome.notifications.onClicked.addListener(function(id) {
+    handleNotificationClick(id);
+  });
+
+  chrome.notifications.onButtonClicked.addListener(function(id, buttonIndex) {
+    handleNotificationClick(id, buttonIndex);
+  });
+
+  chrome.notifications.onClosed.addListener(function(id) {
+    if (id.indexOf(NOTIFICATION_ID_PREFIX) !== 0) return;
+
+    loadNotificationState().then(function(notificationState) {
+      if (!notificationState.active[id]) return;
+
+      delete notificationState.active[id];
+      saveNotificationState(notificationState);
+    });
+  });
+
+  /**
+   * 获取各标签页同步的菜单项，首次调用时从chrome.storage.local读取
+   * @returns {Promise<Object<string, {items: Array<Object>, syncedAt: number}>>} 键为标签页ID
+   */
+  function loadContextMenuTabs() {
+    if (!contextMenuTabsPromise) {
+      contextMenuTabsPromise = new Promise(function(resolve) {
+        chrome.storage.local.get(CONTEXT_MENUS_KEY, function(result) {
+          resolve((result && result[CONTEXT_MENUS_KEY]) || {});
+        });
+      });
+    }
+    return contextMenuTabsPromise;
+  }
+
+  /**
+   * 保存各标签页同步的菜单项
+   * @param {Object<string, Object>} menuTabs - 键为标签页ID
+   */
+  function saveContextMenuTabs(menuTabs) {
+    var data = {};
+    data[CONTEXT_MENUS_KEY] = menuTabs;
+    chrome.storage.local.set(data);
+  }
+
+  /**
+   * 合并各标签页的菜单项，同一站点同一标识的菜单项以最近同步的为准
+   * @param {Object<string, Object>} menuTabs - 键为标签页ID
+   * @returns {Array<Object>} 按站点和标识排序的菜单项
+   */
+  function mergeContextMenuItems(menuTabs) {
+    var merged = {};
+
+    Object.keys(menuTabs).map(function(tabId) {
+      return menuTabs[tabId];
+    }).sort(function(a, b) {
+      return a.syncedAt - b.syncedAt;
+    }).forEach(function(entry) {
+      entry.items.forEach(function(item) {
+        merged[getContextMenuId(item.site, item.id)] = item;
+      });
+    });
+
+    return Object.keys(merged).sort().map(function(menuId) {
+      return merged[menuId];
+    });
+  }
+
+  /**
+   * 获取站点右键菜单项的ID
+   * @param {string} site - 站点名称
+   * @param {string} id - 菜单项标识
+   * @returns {string} 菜单项ID
+   */
+  function getContextMenuId(site, id) {
+    return CONTEXT_MENU_ID_PREFIX + encodeURIComponent(site) + '/' + encodeURIComponent(id);
+  }
+
+  /**
+   * 解析站点右键菜单项的ID
+   * @param {string} menuItemId - 菜单项ID
+   * @returns {{site: string, id: string}|null} 站点名称和菜单项标识，不是站点菜单项时为null
+   */
+  function parseContextMenuId(menuItemId) {
+    if (menuItemId.indexOf(CONTEXT_MENU_ID_PREFIX) !== 0) return null;
+
+    var parts = menuItemId.slice(CONTEXT_MENU_ID_PREFIX.length).split('/');
+    if (parts.length !== 2) return null;
+
+    return {
+      site: decodeURIComponent(parts[0]),
+      id: decodeURIComponent(parts[1])
+    };
+  }
+
+  /**
+   * 按菜单项列表重新创建所有站点右键菜单
+   * @param {Array<Object>} items - 菜单项，每项包含site、id、title、contexts和documentUrlPatterns
+   */
+  function rebuildContextMenus(items) {
+    chrome.contextMenus.removeAll(function() {
+      items.forEach(function(item) {
+        chrome.contextMenus.create({
+          id: getContextMenuId(item.site, item.id),
+          title: item.title,
+          contexts: item.contexts,
+          documentUrlPatterns: item.documentUrlPatterns
+        }, function() {
+          if (chrome.runtime.lastError) {
+            console.error("创建右键菜单" + item.site + "/" + item.id + "失败: " + chrome.runtime.lastError.message);
+          }
+        });
+      });
+    });
+  }
+
+  /**
+   * 修改各标签页同步的菜单项，合并结果变化时保存并重建菜单
+   * 所有修改都经过同一份缓存，多个标签页同时同步也不会互相覆盖
+   * @param {Function} update - 接收各标签页的菜单项并就地修改
+   * @returns {Promise<boolean>} 合并后的菜单是否有变化
+   */
+  function updateContextMenuTabs(update) {
+    return loadContextMenuTabs().then(function(menuTabs) {
+      var before = JSON.stringify(mergeContextMenuItems(menuTabs));
+      update(menuTabs);
+      saveContextMenuTabs(menuTabs);
+
+      var items = mergeContextMenuItems(menuTabs);
+      if (JSON.stringify(items) === before) {
+        return false;
+      }
+      rebuildContextMenus(items);
+      return true;
+    });
+  }
+
+  /**
+   * 去掉已关闭标签页的菜单项并重建所有站点右键菜单
+   */
+  function restoreContextMenus() {
+    Promise.all([loadContextMenuTabs(), callChromeApi(chrome.tabs, 'query', [{}])]).then(function(results) {
+      var menuTabs = results[0];
+      var openTabIds = results[1].map(function(tab) {
+        return String(tab.id);
+      });
+
+      Object.keys(menuTabs).forEach(function(tabId) {
+        if (openTabIds.indexOf(tabId) === -1) {
+          delete menuTabs[tabId];
+        }
+      });
+      saveContextMenuTabs(menuTabs);
+      rebuildContextMenus(mergeContextMenuItems(menuTabs));
+    });
+  }
+
+  /**
+   * 接收标签页同步的站点右键菜单项，按标签页分别保存，所有标签页菜单项的并集变化时重建菜单
+   * @returns {Promise<boolean>} 菜单是否有变化
+   */
+  MessageBus.register('contextMenus.sync', function(items, sender) {
+    if (!sender.tab) {
+      throw MessageBus.createError('INVALID_PAYLOAD', '右键菜单只能由标签页同步');
+    }
+
+    return updateContextMenuTabs(function(menuTabs) {
+      menuTabs[sender.tab.id] = { items: items || [], syncedAt: Date.now() };
+    });
+  });
+
+  /**
+   * 点击站点右键菜单时，在点击所在的框架中执行对应的处理函数
+   */
+  chrome.contextMenus.onClicked.addListener(function(info, tab) {
+    var menu = parseContextMenuId(String(info.menuItemId));
+    if (!menu || !tab) return;
+
+    MessageBus.call('contextMenus.invoke', {
+      site: menu.site,
+      id: menu.id,
+      info: {
+        selectionText: info.selectionText || '',
+        linkUrl: info.linkUrl || '',
+        srcUrl: info.srcUrl || '',
+        pageUrl: info.pageUrl || '',
+        frameUrl: info.frameUrl || '',
+        mediaType: info.mediaType || '',
+        editable: !!info.editable
+      }
+    }, {
+      tabId: tab.id,
+      frameId: info.frameId || 0
+    }).catch(function(error) {
+      console.log("执行右键菜单失败: " + error.message);
+    });
+  });
+
+  /**
+   * 将manifest中的site-command-N快捷键转发到当前标签页，由绑定了序号N的页面快捷键处理
+   */
+  chrome.commands.onCommand.addListener(function(command, tab) {
+    var match = /^site-command-(\d+)$/.exec(command);
+    if (!match || !tab || tab.id === undefined) return;
+
+    MessageBus.call('shortcuts.command', { command: Number(match[1]) }, { tabId: tab.id }).catch(function() {
+      console.log("当前标签页未加载内容脚本，无法执行快捷命令");
+    });
+  });
+
+  /**
+   * 监听标签页更新事件
+   */
+  chrome.tabs.onUpdated.addListener(function(tabId, changeInfo, tab) {
+    if (changeInfo.status === 'complete' && tab.url) {
+      var transition = committedTransitions[tabId + ':0'] || {};
+      notifyTabUrlChanged(tabId, tab.url, {
+        frameId: 0,
+        source: 'complete',
+        transitionType: transition.transitionType,
+        transitionQualifiers: transition.transitionQualifiers
+      });
+    }
+  });
+
+  /**
+   * 子框架加载完成时，属于需要在子框架中执行的站点则注入内容脚本
+   */
+  chrome.webNavigation.onCompleted.addListener(function(details) {
+    if (details.frameId === 0) return;
+
+    injectMatchingSubframes(details.tabId, [details]).catch(function() {
+      // 顶层页面的内容脚本尚未加载，加载后会请求注入已有的子框架
+    });
+  });
+
+  /**
+   * 记录顶层页面导航的类型，供页面加载完成时的通知使用
+   */
+  chrome.webNavigation.onCommitted.addListener(function(details) {
+    // 框架加载了新文档，旧文档的事件订阅随之失效，没有订阅的框架不写入存储
+    var frameKey = details.tabId + ':' + details.frameId;
+    removeFrameSubscriptions(function(key) {
+      return key === frameKey;
+    });
+
+    if (details.frameId !== 0) return;
+
+    committedTransitions[details.tabId + ':0'] = {
+      transitionType: details.transitionType,
+      transitionQualifiers: details.transitionQualifiers
+    };
+  });
+
+  /**
+   * 监听pushState/replaceState导航，页面内的history补丁在隔离环境中无法捕获页面脚本的调用
+   */
+  chrome.webNavigation.onHistoryStateUpdated.addListener(function(details) {
+    notifyTabUrlChanged(details.tabId, details.url, {
+      frameId: details.frameId,
+      source: 'historyState',
+      transitionType: details.transitionType,
+      transitionQualifiers: details.transitionQualifiers
+    });
+  });
+
+  /**
+   * 监听hash变化导航，如hash路由的页面切换
+   */
+  chrome.webNavigation.onReferenceFragmentUpdated.addListener(function(details) {
+    notifyTabUrlChanged(details.tabId, details.url, {
+      frameId: details.frameId,
+      source: 'fragment',
+      transitionType: details.transitionType,
+      transitionQualifiers: details.transitionQualifiers
+    });
+  });
+
+  /**
+   * 标签页关闭时清理记录
+   */
+  chrome.tabs.onRemoved.addListener(function(tabId) {
+    var prefix = tabId + ':';
+    function belongsToTab(key) {
+      return key.indexOf(prefix) === 0;
+    }
+
+    [lastNotifications, committedTransitions].forEach(function(map) {
+      Object.keys(map).forEach(function(key) {
+        if (belongsToTab(key)) {
+          delete map[key];
+        }
+      });
+    });
+    removeFrameSubscriptions(belongsToTab);
+
+    loadContextMenuTabs().then(function(menuTabs) {
+      if (!menuTabs[tabId]) return;
+      updateContextMenuTabs(function(current) {
+        delete current[tabId];
+      });
+    });
   });
 })();
\ No newline at end of file
@@ -5,14 +5,23 @@
 
 (function() {
   /**
-   * 全局配置参数
+   * 全局配置参数的默认值
    */
-  var CONFIG = {
-    // URL处理防抖延迟(毫秒)
+  var DEFAULT_CONFIG = {
+    // URL处理防抖延迟(毫秒)，路由可通过delay覆盖
     URL_PROCESS_DELAY: 2000,
-    // 重复URL处理防抖间隔(毫秒)
-    URL_REPEAT_THRESHOLD: 2000
+    // 重复URL处理防抖间隔(毫秒)，路由可通过repeatThreshold覆盖
+    URL_REPEAT_THRESHOLD: 2000,
+    // 处理函数出错后首次重试的默认延迟(毫秒)
+    RETRY_DELAY: 1000,
+    // 每次重试延迟的默认倍数
+    RETRY_BACKOFF: 2
   };
+
+  /**
+   * 当前生效的全局配置参数，选项页中的修改覆盖默认值
+   */
+  var CONFIG = Object.assign({}, DEFAULT_CONFIG);
   
 /**
  * 内容脚本的状态对象
@@ -22,111 +31,1006 @@
  * @property {boolean} contentScriptLoaded - 内容脚本是否已加载
  * @property {number|null} urlChangeTimer - 用于延迟处理的定时器ID
  * @property {string|null} pendingUrl - 等待处理的URL
+ * @property {Array<Object>} pendingMatches - 等待处理的URL匹配到的路由
+ * @property {number} pendingSince - 等待处理的URL开始延迟的时间戳
+ * @property {Object} pendingNavigation - 等待处理的URL的导航信息(source、frameId、transitionType、transitionQualifiers)
+ * @property {Object|null} currentNavigation - 最近一次处理的URL的导航信息
+ * @property {Element|null} contextMenuTarget - 最近一次右键点击的元素
+ * @property {number|null} contextMenuSyncTimer - 合并右键菜单同步的定时器ID
+ * @property {Object<string, boolean>} scheduledSites - 当前页面已注册过定时任务的站点名称
+ * @property {Array<Object>} activeRoutes - 当前生效的路由作用域列表(route、pageInfo、disposers、controller)
+ * @property {number} nextScopeId - 生成路由作用域ID的计数器，弹出窗口据此调用路由的操作
  */
   var state = {
   lastProcessedUrl: '',
   lastProcessTime: 0,
   contentScriptLoaded: false, // 初始状态为未加载
   urlChangeTimer: null, // 用于延迟处理的定时器
-  pendingUrl: null // 等待处理的URL
+  pendingUrl: null, // 等待处理的URL
+  pendingMatches: [], // 等待处理的URL匹配到的路由
+  pendingSince: 0, // 开始延迟的时间戳
+  pendingNavigation: null, // 等待处理的URL的导航信息
+  currentNavigation: null, // 最近一次处理的URL的导航信息
+  contextMenuTarget: null, // 最近一次右键点击的元素
+  contextMenuSyncTimer: null, // 合并右键菜单同步的定时器
+  scheduledSites: {}, // 已注册过定时任务的站点
+  activeRoutes: [], // 当前生效的路由作用域，按执行顺序排列
+  nextScopeId: 1 // 路由作用域ID计数器
 };
 
+/**
+ * 创建包含页面详细信息的对象
+ * @param {string} url - 当前URL
+ * @param {Object} match - SiteManager.matchUrl返回的匹配结果
+ * @param {Object} scope - 路由作用域，用于登记离开路由时的清理工作
+ * @param {number} now - 处理时间戳
+ * @returns {Object} 页面信息对象
+ */
+function createPageInfo(url, match, scope, now) {
+  return {
+    url: url,
+    title: document.title || '',
+    referrer: document.referrer || '',
+    hostname: window.location.hostname || '',
+    pathname: window.location.pathname || '',
+    hash: window.location.hash || '',
+    search: window.location.search || '',
+    userAgent: navigator.userAgent || '',
+    language: navigator.language || '',
+    platform: navigator.platform || '',
+    windowWidth: window.innerWidth || 0,
+    windowHeight: window.innerHeight || 0,
+    screenWidth: window.screen.width || 0,
+    screenHeight: window.screen.height || 0,
+    timestamp: now,
+    documentReady: document.readyState,
+    // 路由中":参数名"占位及正则命名捕获组匹配到的参数
+    params: match.params || {},
+    // 站点选项的当前取值，用户在选项页中修改后重新进入路由
+    options: window.SiteManager.getSiteOptions(match.site.name),
+    // URL查询参数及hash路由中的查询参数
+    query: match.query || {},
+    hashQuery: match.hashQuery || {},
+    // 触发本次处理的导航信息，source为"page"时由页面内的URL监控检测到，否则为后台的导航事件
+    navigation: state.currentNavigation || { source: 'page', frameId: null, transitionType: null, transitionQualifiers: [] },
+    // 所在框架信息，isTop为false时运行在子框架(iframe)中
+    frame: window.FrameBridge ? window.FrameBridge.getFrameInfo() : { isTop: window.top === window },
+    // 离开路由(下一次URL变化)时中止，用于取消处理函数中的异步操作
+    signal: scope.controller.signal,
+    /**
+     * 登记需要在离开路由时销毁的资源，返回资源本身便于链式调用
+     * 支持UI组件(remove)、元素监视器(stop)或清理函数
+     */
+    track: function(resource) {
+      if (resource) {
+        scope.disposers.push(resource);
+      }
+      return resource;
+    },
+    /**
+     * 登记离开路由时执行的清理函数
+     */
+    onLeave: function(callback) {
+      if (typeof callback === 'function') {
+        scope.disposers.push(callback);
+      }
+    },
+    /**
+     * 注册只在当前路由生效的快捷键，离开路由时自动注销，参数同Shortcuts.register
+     */
+    addShortcut: function(id, options) {
+      var unregister = window.Shortcuts.register(id, Object.assign({}, options, {
+        scope: { site: match.site.name, route: match.route.path }
+      }));
+      scope.disposers.push(unregister);
+      return unregister;
+    },
+    /**
+     * 登记只在当前路由生效的操作，显示为扩展弹出窗口中的按钮，离开路由时自动移除
+     * @param {string} id - 操作标识，路由内唯一
+     * @param {Object} options - 包含title(按钮文字)、description(可选说明)和handler(点击时调用，可返回Promise)
+     * @returns {Function} 移除该操作的函数
+     */
+    addAction: function(id, options) {
+      if (!options || typeof options.handler !== 'function') {
+        throw new Error('操作"' + id + '"缺少handler');
+      }
+
+      var action = {
+        id: id,
+        title: options.title || id,
+        description: options.description || '',
+        handler: options.handler
+      };
+      scope.actions = scope.actions.filter(function(item) {
+        return item.id !== id;
+      }).concat([action]);
+
+      function remove() {
+        scope.actions = scope.actions.filter(function(item) {
+          return item !== action;
+        });
+      }
+      scope.disposers.push(remove);
+      return remove;
+    }
+  };
+}
+
+/**
+ * 销毁单个登记的资源
+ * @param {Function|Object} resource - 清理函数、UI组件或元素监视器
+ */
+function disposeResource(resource) {
+  if (typeof resource === 'function') {
+    resource();
+  } else if (typeof resource.stop === 'function') {
+    resource.stop();
+  } else if (typeof resource.remove === 'function') {
+    resource.remove();
+  }
+}
+
+/**
+ * 进入路由：等待路由自身的延迟和就绪条件后，依次执行onEnter和处理函数，并收集处理函数返回的清理函数
+ * @param {Object} match - SiteManager.matchUrl返回的匹配结果
+ * @param {string} url - 当前URL
+ * @param {number} now - 处理时间戳
+ * @param {number} elapsed - URL变化后已经等待的时间(毫秒)
+ */
+function enterRoute(match, url, now, elapsed) {
+  var scope = {
+    id: state.nextScopeId++,
+    site: match.site,
+    route: match.route,
+    handler: match.handler,
+    pageInfo: null,
+    disposers: [],
+    controller: new AbortController(),
+    timer: null,
+    active: true,
+    // 执行状态：waiting(等待延迟或就绪条件)、running、succeeded、retrying或failed
+    status: 'waiting',
+    attempts: 0,
+    error: null,
+    actions: []
+  };
+  scope.pageInfo = createPageInfo(url, match, scope, now);
+  state.activeRoutes.push(scope);
+
+  var remaining = getRouteDelay(match.route) - elapsed;
+  if (remaining > 0) {
+    scope.timer = setTimeout(function() {
+      scope.timer = null;
+      startRoute(scope);
+    }, remaining);
+  } else {
+    startRoute(scope);
+  }
+}
+
+/**
+ * 启动路由：满足就绪条件后执行onEnter和处理函数
+ * 未设置就绪条件时同步执行，保持路由间的priority顺序
+ * @param {Object} scope - 路由作用域
+ */
+function startRoute(scope) {
+  var route = scope.route;
+
+  function start() {
+    if (!scope.active) return;
+
+    if (typeof route.onEnter === 'function') {
+      try {
+        route.onEnter(scope.pageInfo);
+      } catch (error) {
+        handleRouteError(scope, error, 0, false);
+        return;
+      }
+    }
+
+    runHandler(scope, 0);
+  }
+
+  if (!route.waitForSelector && !route.waitForDOMStable) {
+    start();
+    return;
+  }
+
+  waitForRouteReady(scope).then(start, function(error) {
+    handleRouteError(scope, error, 0, false);
+  });
+}
+
+/**
+ * 等待路由声明的就绪条件：先等待waitForSelector指定的元素出现，再等待DOM稳定
+ * @param {Object} scope - 路由作用域
+ * @returns {Promise<void>} 就绪时resolve，超时或离开路由时reject
+ */
+function waitForRouteReady(scope) {
+  var route = scope.route;
+  var signal = scope.pageInfo.signal;
+  var ready = Promise.resolve();
+
+  if (route.waitForSelector) {
+    var selectorOptions = typeof route.waitForSelector === 'string'
+      ? { selector: route.waitForSelector }
+      : route.waitForSelector;
+
+    ready = ready.then(function() {
+      return window.Utils.waitForElement(selectorOptions.selector, selectorOptions.timeout, {
+        signal: signal
+      });
+    });
+  }
+
+  if (route.waitForDOMStable) {
+    var stableOptions = route.waitForDOMStable === true ? {} : route.waitForDOMStable;
+
+    ready = ready.then(function() {
+      return window.Utils.waitForDOMStable(stableOptions.waitTime, stableOptions.timeout, {
+        signal: signal
+      });
+    });
+  }
+
+  return ready;
+}
+
+/**
+ * 获取路由URL变化后的处理延迟
+ * @param {Object} route - 路由配置
+ * @returns {number} 延迟(毫秒)
+ */
+function getRouteDelay(route) {
+  return route.delay !== undefined ? route.delay : CONFIG.URL_PROCESS_DELAY;
+}
+
+/**
+ * 获取路由的重复URL防抖间隔
+ * @param {Object} route - 路由配置
+ * @returns {number} 间隔(毫秒)
+ */
+function getRouteRepeatThreshold(route) {
+  return route.repeatThreshold !== undefined ? route.repeatThreshold : CONFIG.URL_REPEAT_THRESHOLD;
+}
+
+/**
+ * 获取一组路由中最小的配置值，没有路由时返回默认值
+ * @param {Array<Object>} matches - 匹配结果
+ * @param {Function} getter - 从路由读取配置值的函数
+ * @param {number} defaultValue - 默认值
+ * @returns {number} 最小值
+ */
+function getMinRouteSetting(matches, getter, defaultValue) {
+  if (matches.length === 0) return defaultValue;
+
+  return Math.min.apply(null, matches.map(function(match) {
+    return getter(match.route);
+  }));
+}
+
+/**
+ * 执行路由处理函数，同步异常和返回的Promise被拒绝都会交给错误处理
+ * @param {Object} scope - 路由作用域
+ * @param {number} attempt - 已重试次数，首次执行为0
+ */
+function runHandler(scope, attempt) {
+  var result;
+  scope.status = 'running';
+  scope.attempts = attempt + 1;
+  try {
+    // 调用处理函数并传入页面信息对象
+    result = scope.handler(scope.pageInfo);
+  } catch (error) {
+    handleRouteError(scope, error, attempt, true);
+    return;
+  }
+
+  // 处理函数可直接返回清理函数，或返回resolve为清理函数的Promise
+  if (typeof result === 'function') {
+    scope.disposers.push(result);
+  } else if (result && typeof result.then === 'function') {
+    result.then(function(disposer) {
+      if (scope.active) {
+        scope.status = 'succeeded';
+        scope.error = null;
+      }
+      if (typeof disposer !== 'function') return;
+      if (scope.active) {
+        scope.disposers.push(disposer);
+      } else {
+        // 异步完成时已离开路由，立即清理
+        disposer();
+      }
+    }, function(error) {
+      handleRouteError(scope, error, attempt, true);
+    });
+    return;
+  }
+
+  scope.status = 'succeeded';
+  scope.error = null;
+}
+
+/**
+ * 获取路由的错误处理策略
+ * @param {Object} route - 路由配置
+ * @returns {Object} 包含retries(重试次数)、delay(首次重试延迟毫秒)和backoff(延迟倍数)
+ */
+function getErrorPolicy(route) {
+  var policy = route.errorPolicy || {};
+  return {
+    retries: policy.retries || 0,
+    delay: policy.delay !== undefined ? policy.delay : CONFIG.RETRY_DELAY,
+    backoff: policy.backoff || CONFIG.RETRY_BACKOFF
+  };
+}
+
+/**
+ * 处理路由执行错误：记录错误日志，并按路由的errorPolicy决定是否重试
+ * 离开路由导致的中止(AbortError)不视为错误
+ * @param {Object} scope - 路由作用域
+ * @param {*} error - 捕获到的错误
+ * @param {number} attempt - 已重试次数
+ * @param {boolean} retryable - 是否允许按策略重试
+ */
+function handleRouteError(scope, error, attempt, retryable) {
+  if (!scope.active || (error && error.name === 'AbortError')) {
+    return;
+  }
+
+  var policy = getErrorPolicy(scope.route);
+  var willRetry = retryable && attempt < policy.retries;
+
+  scope.status = willRetry ? 'retrying' : 'failed';
+  scope.error = error && error.message ? error.message : String(error);
+
+  console.error("执行路由处理函数时发生错误(" + scope.route.path + "，第" + (attempt + 1) + "次):", error);
+
+  if (window.ErrorLog) {
+    window.ErrorLog.record({
+      url: scope.pageInfo.url,
+      site: scope.site.name,
+      route: scope.route.path,
+      error: error,
+      attempt: attempt + 1,
+      willRetry: willRetry
+    });
+  }
+
+  if (!willRetry) return;
+
+  scope.timer = setTimeout(function() {
+    scope.timer = null;
+    if (!scope.active) return;
+
+    // 清理上一次执行登记的资源后重试
+    disposeScopeResources(scope);
+    runHandler(scope, attempt + 1);
+  }, policy.delay * Math.pow(policy.backoff, attempt));
+}
+
+/**
+ * 离开所有当前路由，按进入的逆序逐个清理
+ */
+function leaveActiveRoutes() {
+  var scopes = state.activeRoutes;
+  state.activeRoutes = [];
+
+  while (scopes.length > 0) {
+    leaveRoute(scopes.pop());
+  }
+}
+
+/**
+ * URL变化时立即中止进入时URL不同的路由，使正在等待的操作和重试随即停止
+ * 资源清理和onLeave仍在防抖延迟后由leaveActiveRoutes执行；URL变回时需要重新处理，因此清除最近处理的URL
+ * @param {string} url - 变化后的URL
+ */
+function abortActiveRoutes(url) {
+  state.activeRoutes.forEach(function(scope) {
+    if (!scope.active || scope.pageInfo.url === url) return;
+
+    scope.active = false;
+    scope.controller.abort();
+    state.lastProcessedUrl = '';
+  });
+}
+
+/**
+ * 按登记的逆序销毁路由作用域中的资源
+ * @param {Object} scope - 路由作用域
+ */
+function disposeScopeResources(scope) {
+  while (scope.disposers.length > 0) {
+    try {
+      disposeResource(scope.disposers.pop());
+    } catch (error) {
+      console.error("清理路由资源时发生错误:", error);
+    }
+  }
+}
+
+/**
+ * 离开单个路由：中止pageInfo.signal，按登记的逆序销毁资源，然后执行onLeave
+ * @param {Object} scope - 路由作用域
+ */
+function leaveRoute(scope) {
+  scope.active = false;
+  scope.controller.abort();
+
+  if (scope.timer) {
+    clearTimeout(scope.timer);
+    scope.timer = null;
+  }
+
+  disposeScopeResources(scope);
+
+  if (typeof scope.route.onLeave === 'function') {
+    try {
+      scope.route.onLeave(scope.pageInfo);
+    } catch (error) {
+      console.error("执行路由onLeave时发生错误:", error);
+    }
+  }
+}
+
 /**
  * 实际处理URL变化的函数
  * @param {string} url - 要处理的URL
+ * @param {Array<Object>} matches - 该URL匹配到的路由
+ * @param {number} elapsed - URL变化后已经等待的时间(毫秒)
  */
-function processUrlChange(url) {
+function processUrlChange(url, matches, elapsed) {
     console.log("处理URL: " + url);
     
     var now = Date.now();
   
-  // 防止重复处理同一URL
+  // 防止重复处理同一URL，间隔取匹配路由中最小的repeatThreshold
+  var repeatThreshold = getMinRouteSetting(matches, getRouteRepeatThreshold, CONFIG.URL_REPEAT_THRESHOLD);
     if (url === state.lastProcessedUrl && 
-        (now - state.lastProcessTime) < CONFIG.URL_REPEAT_THRESHOLD) {
+        (now - state.lastProcessTime) < repeatThreshold) {
     return;
   }
   
   state.lastProcessedUrl = url;
   state.lastProcessTime = now;
+  state.currentNavigation = state.pendingNavigation;
   
   try {
-    if (window.SiteManager && typeof window.SiteManager.findHandlerForUrl === 'function') {
-        var handler = window.SiteManager.findHandlerForUrl(url);
-      if (handler) {
-          // 创建包含页面详细信息的对象
-          var pageInfo = {
-            url: url,
-            title: document.title || '',
-            referrer: document.referrer || '',
-            hostname: window.location.hostname || '',
-            pathname: window.location.pathname || '',
-            hash: window.location.hash || '',
-            search: window.location.search || '',
-            userAgent: navigator.userAgent || '',
-            language: navigator.language || '',
-            platform: navigator.platform || '',
-            windowWidth: window.innerWidth || 0,
-            windowHeight: window.innerHeight || 0,
-            screenWidth: window.screen.width || 0,
-            screenHeight: window.screen.height || 0,
-            timestamp: now,
-            documentReady: document.readyState
-          };
-          
-          // 调用处理函数并传入页面信息对象
-          handler(pageInfo);
-        }
-    }
+    // 先清理上一个页面留下的资源，避免在单页应用中堆积
+    leaveActiveRoutes();
+
+    // 依次进入所有匹配的路由，单个路由出错不影响其余路由
+    matches.forEach(function(match) {
+      try {
+        enterRoute(match, url, now, elapsed);
+      } catch (error) {
+        console.error("执行路由处理函数时发生错误:", error);
+      }
+    });
+
+    scheduleSiteJobs(matches);
   } catch (error) {
       console.error("处理URL变化时发生错误:", error);
   }
 }
 
+/**
+ * 注册匹配站点在配置中声明的定时任务，每个页面每个站点只注册一次
+ * 只在顶层页面注册，避免子框架重复发送；定义未变化时后台保留原有的执行计划
+ * @param {Array<Object>} matches - 当前URL匹配到的路由
+ */
+function scheduleSiteJobs(matches) {
+  if (window.top !== window || !window.Scheduler) return;
+
+  matches.forEach(function(match) {
+    var site = match.site;
+    if (!site.jobs || state.scheduledSites[site.name]) return;
+
+    state.scheduledSites[site.name] = true;
+    site.jobs.forEach(function(job) {
+      window.Scheduler.schedule(Object.assign({ site: site.name }, job)).catch(function(error) {
+        console.error("注册站点" + site.name + "的定时任务" + job.name + "失败:", error);
+      });
+    });
+  });
+}
+
+/**
+ * 查找URL匹配的所有路由
+ * @param {string} url - 需要处理的URL
+ * @returns {Array<Object>} 匹配结果数组，SiteManager不可用时为空数组
+ */
+function findRouteMatches(url) {
+  if (window.SiteManager && typeof window.SiteManager.matchRoutes === 'function') {
+    return window.SiteManager.matchRoutes(url);
+  }
+  return [];
+}
+
+/**
+ * 整理导航信息，页面内URL监控检测到的变化没有导航信息
+ * @param {Object} [navigation] - 后台urlChanged消息中的导航信息
+ * @returns {Object} 包含source、frameId、transitionType和transitionQualifiers的导航信息
+ */
+function normalizeNavigation(navigation) {
+  navigation = navigation || {};
+  return {
+    source: navigation.source || 'page',
+    frameId: typeof navigation.frameId === 'number' ? navigation.frameId : null,
+    transitionType: navigation.transitionType || null,
+    transitionQualifiers: navigation.transitionQualifiers || []
+  };
+}
+
 /**
  * URL变化的处理函数，带延迟机制
+ * 延迟取匹配路由中最小的delay，未设置时使用CONFIG.URL_PROCESS_DELAY；
+ * 延迟较长的路由在processUrlChange中继续等待剩余时间
+ * 后台导航事件与页面内URL监控会报告同一次变化，URL已在等待处理时只补充导航信息，不重新计时
  * @param {string} url - 变化后的URL
+ * @param {Object} [navigation] - 后台urlChanged消息中的导航信息
  */
-function handleUrlChange(url) {
+function handleUrlChange(url, navigation) {
+  navigation = normalizeNavigation(navigation);
+
+  if (state.urlChangeTimer && url === state.pendingUrl) {
+    // 后台事件带有导航类型，优先保留
+    if (navigation.source !== 'page') {
+      state.pendingNavigation = navigation;
+    }
+    return;
+  }
+
+  abortActiveRoutes(url);
+
   // 清除之前的定时器
   if (state.urlChangeTimer) {
     clearTimeout(state.urlChangeTimer);
     state.urlChangeTimer = null;
   }
   
-  // 记录待处理的URL
+  // 记录待处理的URL及其匹配的路由
   state.pendingUrl = url;
+  state.pendingMatches = findRouteMatches(url);
+  state.pendingSince = Date.now();
+  state.pendingNavigation = navigation;
+  
+  var delay = getMinRouteSetting(state.pendingMatches, getRouteDelay, CONFIG.URL_PROCESS_DELAY);
   
     // 设置新的定时器，延迟后处理URL变化
     state.urlChangeTimer = setTimeout(function() {
-    processUrlChange(state.pendingUrl);
     state.urlChangeTimer = null;
-    }, CONFIG.URL_PROCESS_DELAY);
+    processUrlChange(state.pendingUrl, state.pendingMatches, Date.now() - state.pendingSince);
+    }, delay);
+}
+
+/**
+ * 获取当前页面URL的路由匹配诊断结果
+ * @returns {Object|null} SiteManager.explain的诊断结果，SiteManager不可用时返回null
+ */
+function explainCurrentUrl() {
+  if (!window.SiteManager || typeof window.SiteManager.explain !== 'function') {
+    return null;
+  }
+  return window.SiteManager.explain(window.location.href);
+}
+
+/**
+ * 在页面中以模态窗口展示当前URL的路由匹配诊断结果
+ */
+function showRouteDiagnostics() {
+  var result = explainCurrentUrl();
+  if (!result || !window.UI || !window.UI.CenterModal || !window.UI.ExcelTable) {
+    console.error("路由诊断所需模块未加载");
+    return;
+  }
+
+  var modal = window.UI.createCenterModal({
+    tabs: [{ title: '路由匹配' }, { title: 'URL解析' }, { title: '错误日志' }],
+    width: '90%',
+    height: '70%',
+    onClose: function() {
+      modal.remove();
+    }
+  });
+
+  var routeRows = [];
+  result.sites.forEach(function(site) {
+    site.routes.forEach(function(route) {
+      routeRows.push([
+        site.name,
+        site.hostMatched ? '是' : '否(' + site.reason + ')',
+        route.path,
+        route.matchType,
+        route.target,
+        route.willRun ? '执行(第' + (route.runOrder + 1) + '个)' : '未执行',
+        route.params ? JSON.stringify(route.params) : '',
+        route.reason || ''
+      ]);
+    });
+  });
+
+  var parts = result.parts || {};
+  var partRows = result.error ? [['错误', result.error]] : Object.keys(parts).map(function(key) {
+    var value = parts[key];
+    return [key, typeof value === 'object' ? JSON.stringify(value) : String(value)];
+  });
+
+  window.UI.createExcelTable({
+    headers: ['站点', '主机匹配', '路由', 'matchType', '比较目标', '结果', '参数', '原因'],
+    data: routeRows
+  }).appendTo(modal.getTabContent(0));
+
+  window.UI.createExcelTable({
+    headers: ['字段', '值'],
+    data: partRows
+  }).appendTo(modal.getTabContent(1));
+
+  renderErrorLog(modal.getTabContent(2));
+
+  modal.appendTo(document.body).show();
+}
+
+/**
+ * 在指定容器中渲染错误日志表格及清空按钮
+ * @param {HTMLElement} container - 容器元素
+ */
+function renderErrorLog(container) {
+  if (!window.ErrorLog) return;
+
+  var table = window.UI.createExcelTable({
+    headers: ['时间', '站点', '路由', 'URL', '第几次', '是否重试', '错误', '堆栈'],
+    data: []
+  });
+
+  var clearButton = document.createElement('button');
+  clearButton.textContent = '清空错误日志';
+  clearButton.style.marginBottom = '10px';
+  clearButton.addEventListener('click', function() {
+    window.ErrorLog.clear().then(function() {
+      table.clear();
+    });
+  });
+
+  container.appendChild(clearButton);
+  table.appendTo(container);
+
+  window.ErrorLog.list().then(function(entries) {
+    table.setData({
+      headers: table.getData().headers,
+      data: entries.slice().reverse().map(function(entry) {
+        return [
+          new Date(entry.timestamp).toLocaleString(),
+          entry.site,
+          entry.route,
+          entry.url,
+          String(entry.attempt),
+          entry.willRetry ? '是' : '否',
+          entry.message,
+          entry.stack
+        ];
+      })
+    });
+  });
+}
+
+/**
+ * 将站点声明的右键菜单项同步给后台，同一轮中的多次注册变化合并为一次
+ * 所有框架加载的站点相同，只由顶层页面同步
+ */
+function scheduleContextMenuSync() {
+  if (window.top !== window || state.contextMenuSyncTimer) return;
+
+  state.contextMenuSyncTimer = setTimeout(function() {
+    state.contextMenuSyncTimer = null;
+    window.MessageBus.call('contextMenus.sync', window.SiteManager.listContextMenus()).catch(function(error) {
+      console.error("同步右键菜单失败:", error);
+    });
+  }, 0);
+}
+
+/**
+ * 执行后台转来的右键菜单点击，调用站点配置中对应菜单项的处理函数
+ * @param {Object} payload - 包含site、id和info(selectionText、linkUrl、srcUrl、pageUrl、frameUrl等)
+ * @returns {*} 处理函数的返回值
+ */
+function invokeContextMenu(payload) {
+  var bus = window.MessageBus;
+
+  // 菜单的URL匹配模式不含端口和排除规则，这里按站点规则再检查一次
+  if (!window.SiteManager.matchSite(payload.site, window.location.href)) {
+    throw bus.createError('SITE_NOT_MATCHED', '当前页面不属于站点' + payload.site);
+  }
+
+  var menu = window.SiteManager.findContextMenu(payload.site, payload.id);
+  if (!menu) {
+    throw bus.createError('NO_MENU_HANDLER', '站点' + payload.site + '没有右键菜单项' + payload.id);
+  }
+
+  var info = Object.assign({}, payload.info, { element: state.contextMenuTarget });
+  return Promise.resolve(menu.handler(info)).catch(function(error) {
+    console.error("执行右键菜单" + payload.site + "/" + payload.id + "时发生错误:", error);
+    throw error;
+  });
+}
+
+/**
+ * 获取当前框架的站点和路由执行状态，供扩展弹出窗口显示
+ * @returns {Object} 包含url、frame、sites(每个站点的name、enabled、hostMatched和reason)、
+ *   routes(当前生效路由的id、site、path、status、attempts、error和actions)及pendingUrl(等待处理的URL)
+ */
+function getPageStatus() {
+  var explanation = explainCurrentUrl();
+
+  return {
+    url: window.location.href,
+    frame: window.FrameBridge ? window.FrameBridge.getFrameInfo() : { isTop: window.top === window },
+    sites: explanation ? explanation.sites.map(function(site) {
+      return {
+        name: site.name,
+        enabled: site.enabled,
+        hostMatched: site.hostMatched,
+        reason: site.reason
+      };
+    }) : [],
+    routes: state.activeRoutes.map(function(scope) {
+      return {
+        id: scope.id,
+        site: scope.site.name,
+        path: scope.route.path,
+        status: scope.status,
+        attempts: scope.attempts,
+        error: scope.error,
+        actions: scope.actions.map(function(action) {
+          return { id: action.id, title: action.title, description: action.description };
+        })
+      };
+    }),
+    pendingUrl: state.urlChangeTimer ? state.pendingUrl : null
+  };
+}
+
+/**
+ * 执行弹出窗口中点击的路由操作
+ * @param {Object} payload - 包含scopeId(路由作用域ID)和actionId(操作标识)
+ * @returns {Promise<*>} 操作处理函数的返回值
+ */
+function runPageAction(payload) {
+  var bus = window.MessageBus;
+
+  var scope = state.activeRoutes.find(function(item) {
+    return item.id === payload.scopeId;
+  });
+  var action = scope && scope.actions.find(function(item) {
+    return item.id === payload.actionId;
+  });
+  if (!action) {
+    throw bus.createError('NO_ACTION', '操作"' + payload.actionId + '"不存在，页面可能已离开该路由');
+  }
+
+  return Promise.resolve()
+    .then(function() {
+      return action.handler(scope.pageInfo);
+    })
+    .catch(function(error) {
+      console.error("执行操作" + scope.site.name + "/" + action.id + "时发生错误:", error);
+      throw error;
+    });
+}
+
+/**
+ * 应用全局配置，只接受CONFIG中已有的键和非负数值，其余使用默认值
+ * @param {Object} overrides - SiteSettings中的global设置
+ */
+function applyGlobalConfig(overrides) {
+  CONFIG = Object.assign({}, DEFAULT_CONFIG);
+
+  Object.keys(overrides || {}).forEach(function(key) {
+    var value = overrides[key];
+    if (DEFAULT_CONFIG.hasOwnProperty(key) && typeof value === 'number' && value >= 0) {
+      CONFIG[key] = value;
+    }
+  });
+}
+
+/**
+ * 应用变化后的站点设置：离开已停用的站点和路由，以及选项发生变化的站点的路由，
+ * 并立即进入当前URL匹配但尚未进入的路由；全局配置从下一次URL变化开始生效
+ * 有等待处理的URL时只更新其匹配结果，由延迟结束后的处理进入路由
+ * @param {Object} settings - SiteSettings中的设置对象
+ */
+function applySiteSettings(settings) {
+  var previousOptions = {};
+  state.activeRoutes.forEach(function(scope) {
+    previousOptions[scope.site.name] = JSON.stringify(scope.pageInfo.options);
+  });
+
+  applyGlobalConfig(settings.global);
+  window.SiteManager.applySettings(settings);
+  requestSubframeInjection();
+
+  if (state.urlChangeTimer) {
+    state.pendingMatches = findRouteMatches(state.pendingUrl);
+  }
+  if (!state.lastProcessedUrl) return;
+
+  var url = state.lastProcessedUrl;
+  var matches = findRouteMatches(url);
+
+  state.activeRoutes = state.activeRoutes.filter(function(scope) {
+    var stillMatched = matches.some(function(match) {
+      return match.route === scope.route;
+    });
+    var optionsChanged = JSON.stringify(window.SiteManager.getSiteOptions(scope.site.name)) !== previousOptions[scope.site.name];
+    if (!stillMatched || optionsChanged) {
+      leaveRoute(scope);
+      return false;
+    }
+    return true;
+  });
+
+  if (state.urlChangeTimer) return;
+
+  var now = Date.now();
+  matches.forEach(function(match) {
+    var active = state.activeRoutes.some(function(scope) {
+      return scope.route === match.route;
+    });
+    if (active) return;
+
+    try {
+      // URL没有变化，不再等待路由的延迟
+      enterRoute(match, url, now, Infinity);
+    } catch (error) {
+      console.error("执行路由处理函数时发生错误:", error);
+    }
+  });
+
+  scheduleSiteJobs(matches);
+}
+
+/**
+ * 请求后台向需要在子框架中执行的站点所在的子框架注入内容脚本
+ * 内容脚本默认只注入顶层页面，由顶层页面按站点配置判断；站点设置变化后可能有新的子框架需要注入
+ */
+function requestSubframeInjection() {
+  if (window.top !== window) return;
+
+  window.MessageBus.call('frames.injectSubframes').catch(function(error) {
+    console.error("请求向子框架注入内容脚本失败:", error);
+  });
+}
+
+/**
+ * 读取站点设置并监听其变化，读取完成后才开始监控URL，避免已停用的站点先执行
+ * 读取期间收到的后台导航通知按读取到的设置重新匹配
+ * @returns {Promise<void>}
+ */
+function loadSiteSettings() {
+  if (!window.SiteSettings || !window.SiteManager) {
+    return Promise.resolve();
+  }
+
+  window.SiteSettings.onChange(applySiteSettings);
+  return window.SiteSettings.load().then(applySiteSettings);
 }
 
 /**
- * 初始化内容脚本，设置消息监听和URL监控
+ * 在消息总线上注册内容脚本提供给后台和扩展页面调用的动作
+ */
+function registerMessageActions() {
+  var bus = window.MessageBus;
+
+  // 后台检测到的导航
+  bus.register('urlChanged', function(payload) {
+    handleUrlChange(payload.url, {
+      source: payload.source,
+      frameId: payload.frameId,
+      transitionType: payload.transitionType,
+      transitionQualifiers: payload.transitionQualifiers
+    });
+  });
+
+  bus.register('explainUrl', function() {
+    return explainCurrentUrl();
+  });
+
+  bus.register('showRouteDiagnostics', function() {
+    showRouteDiagnostics();
+  });
+
+  bus.register('contextMenus.invoke', invokeContextMenu);
+
+  bus.register('getPageStatus', getPageStatus);
+
+  bus.register('runPageAction', runPageAction);
+
+  // 后台询问子框架是否需要注入内容脚本，由顶层页面按站点配置回答
+  if (window.top === window && window.SiteManager) {
+    bus.register('frames.matchSubframes', function(payload) {
+      return payload.urls.map(function(url) {
+        return window.SiteManager.matchSubframe(url);
+      });
+    });
+  }
+
+  // 选项页通过页面中的内容脚本读写该页面来源下的站点存储，共享存储由选项页直接读写chrome.storage.local
+  if (window.StorageManager) {
+    var isSiteStorageName = function(name) {
+      return typeof name === 'string' && name.indexOf('shared_') !== 0;
+    };
+    var checkSiteStorageName = function(name) {
+      if (!isSiteStorageName(name)) {
+        throw bus.createError('INVALID_PAYLOAD', '只能读写站点存储: ' + name);
+      }
+    };
+
+    bus.register('storage.list', function() {
+      var storage = window.StorageManager;
+      return storage.listStorageNames().then(function(names) {
+        return Promise.all(names.filter(isSiteStorageName).map(function(name) {
+          return storage.exportStorage(name).then(function(data) {
+            return { name: name, data: data };
+          });
+        }));
+      });
+    });
+
+    bus.register('storage.replace', function(payload) {
+      checkSiteStorageName(payload.name);
+      return window.StorageManager.replaceStorage(payload.name, payload.data || {});
+    });
+
+    bus.register('storage.clear', function(payload) {
+      checkSiteStorageName(payload.name);
+      return window.StorageManager.clearStorage(payload.name);
+    });
+  }
+
+  // 快捷键只在页面中注册，选项页通过页面中的内容脚本列出并修改按键，修改时按页面中已注册的快捷键检查冲突
+  if (window.Shortcuts) {
+    bus.register('shortcuts.list', function() {
+      return window.Shortcuts.list();
+    });
+
+    bus.register('shortcuts.remap', function(payload) {
+      return window.Shortcuts.remap(payload.id, payload.keys);
+    });
+  }
+}
+
+/**
+ * 初始化内容脚本，注册消息动作并设置URL监控
  */
 function initContentScript() {
     console.log("初始化内容脚本");
     
-  // 设置消息监听器
   try {
-      chrome.runtime.onMessage.addListener(function(request, sender, sendResponse) {
-      if (request.action === 'urlChanged') {
-        try {
-          handleUrlChange(request.url);
-          sendResponse({status: 'received'});
-        } catch (error) {
-          sendResponse({status: 'error', message: error.message});
-        }
-      }
-      return true; // 保持消息通道开放，以便异步发送响应
-    });
+    registerMessageActions();
 
-    // 如果UrlMonitor可用，初始化它
-      if (window.UrlMonitor && typeof window.UrlMonitor.initUrlMonitor === 'function') {
-        window.UrlMonitor.initUrlMonitor(handleUrlChange, false);
+    // 记录右键点击的元素，供右键菜单处理函数使用
+    document.addEventListener('contextmenu', function(event) {
+      state.contextMenuTarget = event.target;
+    }, true);
+
+    // 站点注册变化时更新右键菜单
+    if (window.SiteManager) {
+      window.SiteManager.onChange(scheduleContextMenuSync);
+      scheduleContextMenuSync();
     }
+
+    // 如果UrlMonitor可用，读取站点设置后订阅URL变化
+    // 后台只在顶层页面加载完成时发送通知，子框架需要立即检查一次当前URL
+    loadSiteSettings().then(function() {
+      if (window.UrlMonitor && typeof window.UrlMonitor.subscribe === 'function') {
+        window.UrlMonitor.subscribe(function(change) {
+          handleUrlChange(change.to);
+        }, { immediate: window.top !== window });
+      }
+    });
   
     state.contentScriptLoaded = true;
   } catch (error) {
@@ -0,0 +1,64 @@
+/**
+ * @fileoverview 错误日志模块，持久化记录站点处理函数执行时发生的错误
+ * 日志保存在共享存储的errorLog命名空间中，所有读写经后台执行，多个标签页同时记录时不会互相覆盖
+ * @namespace ErrorLog
+ */
+
+(function() {
+  /**
+   * 记录一条错误日志，由后台追加写入，后台最多保留100条
+   * @param {Object} entry - 日志内容
+   * @param {string} entry.url - 发生错误时的URL
+   * @param {string} entry.site - 站点名称
+   * @param {string} entry.route - 路由路径
+   * @param {*} entry.error - 捕获到的错误
+   * @param {number} [entry.attempt=1] - 第几次执行
+   * @param {boolean} [entry.willRetry=false] - 是否还会重试
+   * @returns {Promise<Object>} 保存的日志条目
+   */
+  function record(entry) {
+    var error = entry.error;
+    var item = {
+      url: entry.url || '',
+      site: entry.site || '',
+      route: entry.route || '',
+      message: error && error.message ? error.message : String(error),
+      stack: (error && error.stack) || '',
+      attempt: entry.attempt || 1,
+      willRetry: !!entry.willRetry,
+      timestamp: Date.now()
+    };
+
+    return window.MessageBus.call('errorLog.append', item)
+      .then(function() {
+        return item;
+      })
+      .catch(function(err) {
+        console.error("保存错误日志失败:", err);
+        return item;
+      });
+  }
+
+  /**
+   * 获取全部错误日志，按时间从早到晚排列
+   * @returns {Promise<Array<Object>>} 日志条目数组
+   */
+  function list() {
+    return window.MessageBus.call('errorLog.list');
+  }
+
+  /**
+   * 清空错误日志
+   * @returns {Promise<void>} 保存完成时resolve
+   */
+  function clear() {
+    return window.MessageBus.call('errorLog.clear');
+  }
+
+  // 将错误日志功能导出到全局命名空间
+  window.ErrorLog = {
+    record: record,
+    list: list,
+    clear: clear
+  };
+})();
\ No newline at end of file
@@ -0,0 +1,121 @@
+/**
+ * @fileoverview 框架通信模块，经由后台在同一标签页的顶层页面与子框架(iframe)之间传递命令
+ * 消息通过MessageBus经扩展后台转发，不经过页面的postMessage，页面脚本无法伪造
+ * @namespace FrameBridge
+ */
+
+(function() {
+  /**
+   * 默认的请求超时时间(毫秒)
+   * @type {number}
+   */
+  var DEFAULT_TIMEOUT = 5000;
+
+  /**
+   * 当前框架注册的命令处理函数，键为命令名称
+   * @type {Object<string, Function>}
+   */
+  var handlers = {};
+
+  /**
+   * 注册当前框架的命令处理函数，同名命令会被覆盖
+   * @param {string} name - 命令名称
+   * @param {Function} callback - 处理函数，接收(payload, meta)，返回值或Promise作为结果
+   * @returns {Function} 注销该处理函数的函数，可直接传给pageInfo.track
+   */
+  function handle(name, callback) {
+    handlers[name] = callback;
+    return function() {
+      if (handlers[name] === callback) {
+        delete handlers[name];
+      }
+    };
+  }
+
+  /**
+   * 向同一标签页的其他框架发送命令
+   * @param {string} name - 命令名称
+   * @param {*} [payload] - 命令参数，必须可序列化
+   * @param {Object} [options] - 配置选项
+   * @param {string|number} [options.target='children'] - 目标框架："children"(当前框架的所有子孙框架)、"top"(顶层页面)、"all"(除自身外的所有框架)或框架ID
+   * @param {number} [options.timeout=5000] - 每个框架的响应超时时间(毫秒)
+   * @returns {Promise<Array<Object>>} 注册了该命令的框架的响应数组，每项包含frameId、url，以及result或error
+   */
+  function request(name, payload, options) {
+    options = Object.assign({
+      target: 'children',
+      timeout: DEFAULT_TIMEOUT
+    }, options);
+
+    return window.MessageBus.call('frameBridge.request', {
+      name: name,
+      payload: payload,
+      target: options.target,
+      timeout: options.timeout
+    }, {
+      // 后台最多等待每个框架options.timeout，再留出转发的时间
+      timeout: options.timeout + 1000
+    });
+  }
+
+  /**
+   * 获取当前框架的信息
+   * @returns {Object} 包含isTop(是否顶层页面)、depth(嵌套层级，顶层为0)、name(框架名称)、url和parentOrigin(父框架来源)
+   */
+  function getFrameInfo() {
+    var depth = 0;
+    var win = window;
+    while (win !== win.parent) {
+      depth++;
+      win = win.parent;
+    }
+
+    var ancestors = window.location.ancestorOrigins;
+
+    return {
+      isTop: window.top === window,
+      depth: depth,
+      name: window.name || '',
+      url: window.location.href,
+      parentOrigin: ancestors && ancestors.length > 0 ? ancestors[0] : ''
+    };
+  }
+
+  /**
+   * 执行后台转发来的命令
+   * @private
+   * @param {Object} message - 转发的消息，包含name、payload和fromFrameId
+   * @returns {Promise<Object>} 执行结果，包含handled，以及result或error
+   */
+  function invoke(message) {
+    var callback = handlers[message.name];
+    if (!callback) {
+      return Promise.resolve({ handled: false });
+    }
+
+    return Promise.resolve()
+      .then(function() {
+        return callback(message.payload, { fromFrameId: message.fromFrameId });
+      })
+      .then(function(result) {
+        return { handled: true, result: result };
+      }, function(error) {
+        return { handled: true, error: error && error.message ? error.message : String(error) };
+      });
+  }
+
+  // 执行后台转发的命令
+  window.MessageBus.register('frameBridge.invoke', function(message) {
+    return invoke(message).then(function(response) {
+      response.url = window.location.href;
+      return response;
+    });
+  });
+
+  // 将框架通信功能导出到全局命名空间
+  window.FrameBridge = {
+    handle: handle,
+    request: request,
+    getFrameInfo: getFrameInfo
+  };
+})();
\ No newline at end of file
@@ -0,0 +1,103 @@
+/**
+ * @fileoverview 主机匹配模式模块，解析和匹配"[协议://]主机[:端口]"格式的主机匹配模式
+ * 站点配置的url/hosts与后台的访问允许列表共用同一套规则；后台通过importScripts加载同一文件
+ * @namespace HostPattern
+ */
+
+(function(global) {
+  /**
+   * "[协议://]主机[:端口]"格式的主机匹配模式
+   * @type {RegExp}
+   */
+  var HOST_PATTERN_REGEX = /^(?:([a-z*][a-z0-9+.-]*):\/\/)?([^/:?#]+)(?::(\d+|\*))?\/?$/i;
+
+  /**
+   * 判断主机匹配模式的格式是否正确
+   * @param {*} pattern - 主机匹配模式
+   * @returns {boolean} 是否为格式正确的字符串
+   */
+  function isValid(pattern) {
+    return typeof pattern === 'string' && HOST_PATTERN_REGEX.test(pattern.trim());
+  }
+
+  /**
+   * 解析主机匹配模式
+   * - "example.com": 仅匹配该主机(includeSubdomains为true时同时匹配子域名)
+   * - "*.example.com": 匹配example.com及其所有子域名
+   * - "*": 匹配所有主机
+   * - 协议和端口可选，"*"表示任意，如"https://example.com:8443"、"*://*.example.com"
+   * @param {string} pattern - 主机匹配模式
+   * @param {boolean} [includeSubdomains=false] - 是否同时匹配子域名
+   * @returns {Object|null} 解析结果，包含scheme、host、port和includeSubdomains，格式错误时返回null
+   */
+  function parse(pattern, includeSubdomains) {
+    var match = HOST_PATTERN_REGEX.exec(String(pattern).trim());
+    if (!match) return null;
+
+    var host = match[2].toLowerCase();
+    if (host.indexOf('*.') === 0) {
+      host = host.slice(2);
+      includeSubdomains = true;
+    }
+
+    return {
+      scheme: match[1] && match[1] !== '*' ? match[1].toLowerCase() : null,
+      host: host,
+      port: match[3] && match[3] !== '*' ? match[3] : null,
+      includeSubdomains: !!includeSubdomains
+    };
+  }
+
+  /**
+   * 获取URL的实际端口，未显式指定时使用协议默认端口
+   * @param {URL} urlObj - 解析后的URL对象
+   * @returns {string} 端口号，非http(s)协议未指定时为空字符串
+   */
+  function getEffectivePort(urlObj) {
+    if (urlObj.port) return urlObj.port;
+    if (urlObj.protocol === 'https:') return '443';
+    if (urlObj.protocol === 'http:') return '80';
+    return '';
+  }
+
+  /**
+   * 判断URL是否匹配解析后的主机匹配模式
+   * @param {Object|null} pattern - parse返回的解析结果
+   * @param {URL} urlObj - 解析后的URL对象
+   * @returns {boolean} 是否匹配，pattern为null时返回false
+   */
+  function match(pattern, urlObj) {
+    if (!pattern) return false;
+
+    var scheme = urlObj.protocol.replace(/:$/, '');
+    if (pattern.scheme && pattern.scheme !== scheme) return false;
+
+    if (pattern.port && pattern.port !== getEffectivePort(urlObj)) return false;
+
+    if (pattern.host === '*') return true;
+
+    var hostname = urlObj.hostname.toLowerCase();
+    if (hostname === pattern.host) return true;
+
+    return pattern.includeSubdomains && hostname.slice(-(pattern.host.length + 1)) === '.' + pattern.host;
+  }
+
+  /**
+   * 判断URL是否匹配主机匹配模式字符串，格式错误的模式不匹配任何URL
+   * @param {string} pattern - 主机匹配模式
+   * @param {URL} urlObj - 解析后的URL对象
+   * @returns {boolean} 是否匹配
+   */
+  function test(pattern, urlObj) {
+    return match(parse(pattern, false), urlObj);
+  }
+
+  // 将主机匹配功能导出到全局命名空间
+  global.HostPattern = {
+    isValid: isValid,
+    parse: parse,
+    match: match,
+    test: test,
+    getEffectivePort: getEffectivePort
+  };
+})(typeof self !== 'undefined' ? self : globalThis);
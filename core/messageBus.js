@@ -0,0 +1,208 @@
+/**
+ * @fileoverview 消息总线模块，在内容脚本、后台和扩展页面之间提供基于Promise的请求/响应调用
+ * 各端通过register注册命名动作，通过call调用另一端的动作；后台通过importScripts加载同一文件
+ * @namespace MessageBus
+ */
+
+(function(global) {
+  /**
+   * 消息信封的类型标记，用于区分总线消息和其他消息
+   * @type {string}
+   */
+  var ENVELOPE_TYPE = 'messageBus.call';
+
+  /**
+   * 默认的调用超时时间(毫秒)
+   * @type {number}
+   */
+  var DEFAULT_TIMEOUT = 10000;
+
+  /**
+   * 总线错误码
+   * @enum {string}
+   */
+  var ERROR_CODES = {
+    // 没有上下文响应该调用：目标未加载脚本或未注册该动作
+    NO_RECEIVER: 'NO_RECEIVER',
+    // 在超时时间内没有收到响应
+    TIMEOUT: 'TIMEOUT',
+    // 动作处理函数抛出错误且未指定错误码
+    HANDLER_ERROR: 'HANDLER_ERROR'
+  };
+
+  /**
+   * 当前上下文注册的动作处理函数，键为动作名称
+   * @type {Object<string, Function>}
+   */
+  var handlers = {};
+
+  /**
+   * 创建带错误码的总线错误
+   * @param {string} code - 错误码，可使用ERROR_CODES之外的自定义错误码
+   * @param {string} message - 错误信息
+   * @returns {Error} name为"MessageBusError"的错误对象
+   */
+  function createError(code, message) {
+    var error = new Error(message);
+    error.name = 'MessageBusError';
+    error.code = code;
+    return error;
+  }
+
+  /**
+   * 将错误转换为可序列化的对象
+   * @private
+   * @param {*} error - 处理函数抛出的错误
+   * @returns {Object} 包含name、message、code和stack的对象
+   */
+  function serializeError(error) {
+    if (!error || typeof error !== 'object') {
+      return { name: 'Error', message: String(error), code: ERROR_CODES.HANDLER_ERROR, stack: '' };
+    }
+    return {
+      name: error.name || 'Error',
+      message: error.message || String(error),
+      code: error.code || ERROR_CODES.HANDLER_ERROR,
+      stack: error.stack || ''
+    };
+  }
+
+  /**
+   * 将响应中的错误还原为Error对象，保留原始的name和code
+   * @private
+   * @param {Object} data - serializeError生成的对象
+   * @param {string} name - 调用的动作名称
+   * @returns {Error} 错误对象
+   */
+  function deserializeError(data, name) {
+    var error = new Error(data.message);
+    error.name = data.name || 'Error';
+    error.code = data.code || ERROR_CODES.HANDLER_ERROR;
+    error.action = name;
+    error.remoteStack = data.stack || '';
+    return error;
+  }
+
+  /**
+   * 注册当前上下文的动作处理函数，同名动作会被覆盖
+   * @param {string} name - 动作名称，建议使用"模块.动作"形式，如"downloads.download"
+   * @param {Function} handler - 处理函数，接收(payload, sender)，返回值或Promise作为结果，抛出的错误会传回调用方
+   * @returns {Function} 注销该处理函数的函数，可直接传给pageInfo.track
+   */
+  function register(name, handler) {
+    if (typeof name !== 'string' || !name) {
+      throw new Error('动作名称必须是非空字符串');
+    }
+    if (typeof handler !== 'function') {
+      throw new Error('动作"' + name + '"的处理函数必须是函数');
+    }
+
+    handlers[name] = handler;
+    return function() {
+      if (handlers[name] === handler) {
+        delete handlers[name];
+      }
+    };
+  }
+
+  /**
+   * 调用另一端注册的动作
+   * 内容脚本和扩展页面不指定tabId时调用后台；后台或扩展页面指定tabId时调用该标签页的内容脚本
+   * @param {string} name - 动作名称
+   * @param {*} [payload] - 调用参数，必须可序列化
+   * @param {Object} [options] - 配置选项
+   * @param {number} [options.tabId] - 目标标签页ID
+   * @param {number} [options.frameId=0] - 目标框架ID，仅在指定tabId时有效
+   * @param {number} [options.timeout=10000] - 超时时间(毫秒)
+   * @returns {Promise<*>} 处理函数的返回值；失败时以带code的错误拒绝
+   */
+  function call(name, payload, options) {
+    options = Object.assign({
+      tabId: null,
+      frameId: 0,
+      timeout: DEFAULT_TIMEOUT
+    }, options);
+
+    var message = {
+      type: ENVELOPE_TYPE,
+      name: name,
+      payload: payload
+    };
+
+    return new Promise(function(resolve, reject) {
+      var settled = false;
+
+      var timer = setTimeout(function() {
+        settled = true;
+        reject(createError(ERROR_CODES.TIMEOUT, '调用"' + name + '"超时(' + options.timeout + 'ms)'));
+      }, options.timeout);
+
+      function onResponse(response) {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+
+        if (chrome.runtime.lastError || !response) {
+          var reason = chrome.runtime.lastError ? chrome.runtime.lastError.message : '没有响应';
+          reject(createError(ERROR_CODES.NO_RECEIVER, '调用"' + name + '"失败: ' + reason));
+          return;
+        }
+        if (!response.ok) {
+          reject(deserializeError(response.error || {}, name));
+          return;
+        }
+        resolve(response.result);
+      }
+
+      try {
+        if (options.tabId !== null && options.tabId !== undefined) {
+          chrome.tabs.sendMessage(options.tabId, message, { frameId: options.frameId }, onResponse);
+        } else {
+          chrome.runtime.sendMessage(message, onResponse);
+        }
+      } catch (error) {
+        // 扩展被重新加载后旧的内容脚本无法再发送消息
+        settled = true;
+        clearTimeout(timer);
+        reject(createError(ERROR_CODES.NO_RECEIVER, '调用"' + name + '"失败: ' + error.message));
+      }
+    });
+  }
+
+  /**
+   * 判断当前上下文是否注册了某个动作
+   * @param {string} name - 动作名称
+   * @returns {boolean} 是否已注册
+   */
+  function hasHandler(name) {
+    return Object.prototype.hasOwnProperty.call(handlers, name);
+  }
+
+  // 监听总线消息，未注册该动作时不响应，由其他上下文处理
+  chrome.runtime.onMessage.addListener(function(message, sender, sendResponse) {
+    if (!message || message.type !== ENVELOPE_TYPE || !hasHandler(message.name)) {
+      return false;
+    }
+
+    var handler = handlers[message.name];
+    Promise.resolve()
+      .then(function() {
+        return handler(message.payload, sender);
+      })
+      .then(function(result) {
+        sendResponse({ ok: true, result: result });
+      }, function(error) {
+        sendResponse({ ok: false, error: serializeError(error) });
+      });
+    return true; // 异步发送响应
+  });
+
+  // 将消息总线功能导出到全局命名空间
+  global.MessageBus = {
+    ERROR_CODES: ERROR_CODES,
+    register: register,
+    call: call,
+    hasHandler: hasHandler,
+    createError: createError
+  };
+})(typeof window !== 'undefined' ? window : self);
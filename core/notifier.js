@@ -0,0 +1,89 @@
+/**
+ * @fileoverview 桌面通知模块，通过后台显示系统通知，支持按键去重、按站点限流和静音
+ * 站点的静音设置保存在SiteSettings中，由后台在显示通知前检查
+ * @namespace Notifier
+ */
+
+(function() {
+  /**
+   * 显示桌面通知
+   * @param {Object} options - 通知配置，除回调外必须可序列化
+   * @param {string} options.site - 发出通知的站点名称，用于限流和静音
+   * @param {string} options.title - 标题
+   * @param {string} options.message - 正文
+   * @param {string} [options.key] - 去重键，相同站点和键的通知在显示期间或一分钟内不会重复显示
+   * @param {Object} [options.action] - 点击通知时的动作，默认回到发出通知的标签页
+   * @param {string} options.action.type - "focusTab"(回到标签页)、"navigate"(在该标签页打开url)或"modal"(在该标签页弹出窗口)
+   * @param {string} [options.action.url] - navigate打开的地址，或modal中以iframe显示的地址
+   * @param {string} [options.action.title] - modal的标题
+   * @param {string} [options.action.content] - modal中显示的文本
+   * @param {Array<Object>} [options.buttons] - 最多两个按钮，每项包含title和action(格式同options.action)
+   * @param {string} [options.iconUrl] - 图标地址
+   * @param {boolean} [options.requireInteraction=false] - 是否保持显示直到用户操作
+   * @returns {Promise<Object>} 包含id、shown，未显示时包含reason("muted"、"duplicate"或"rateLimited")
+   */
+  function notify(options) {
+    if (!options || !options.site) {
+      return Promise.reject(new Error('通知必须指定site'));
+    }
+
+    return window.MessageBus.call('notifications.notify', options);
+  }
+
+  /**
+   * 判断站点的通知是否已静音
+   * @param {string} site - 站点名称
+   * @returns {Promise<boolean>} 是否已静音
+   */
+  function isMuted(site) {
+    return window.SiteSettings.load().then(function(settings) {
+      return window.SiteSettings.isNotificationMuted(settings, site);
+    });
+  }
+
+  /**
+   * 设置站点的通知静音状态，对所有页面生效
+   * @param {string} site - 站点名称
+   * @param {boolean} [muted=true] - 是否静音
+   * @returns {Promise<void>} 保存完成时resolve
+   */
+  function setMuted(site, muted) {
+    return window.SiteSettings.setNotificationMuted(site, muted !== false).then(function() {});
+  }
+
+  /**
+   * 在当前页面弹出通知点击后的窗口
+   * @private
+   * @param {Object} action - modal动作，包含title、content和url
+   */
+  function showModal(action) {
+    var modal = window.UI.createCenterModal({
+      tabs: [{ title: action.title || '通知', url: action.url }],
+      onClose: function() {
+        modal.remove();
+      }
+    });
+
+    if (action.content) {
+      var text = document.createElement('div');
+      text.style.whiteSpace = 'pre-wrap';
+      text.style.padding = '16px';
+      text.textContent = action.content;
+      modal.getTabContent(0).appendChild(text);
+    }
+
+    modal.appendTo(document.body).show();
+  }
+
+  // 点击通知的modal动作由后台转到发出通知的标签页执行
+  window.MessageBus.register('notifications.showModal', function(action) {
+    showModal(action);
+  });
+
+  // 将通知功能导出到全局命名空间
+  window.Notifier = {
+    notify: notify,
+    isMuted: isMuted,
+    setMuted: setMuted
+  };
+})();
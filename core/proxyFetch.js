@@ -0,0 +1,104 @@
+/**
+ * @fileoverview 代理请求模块，通过后台发起跨域请求，绕过页面的CORS限制
+ * 目标主机需在后台的允许列表中，见background.js中的DEFAULT_FETCH_ALLOW_LIST
+ * @namespace ProxyFetch
+ */
+
+(function() {
+  /**
+   * 默认的请求超时时间(毫秒)，与后台一致
+   * @type {number}
+   */
+  var DEFAULT_TIMEOUT = 30000;
+
+  /**
+   * 将后台返回的base64编码还原为Blob
+   * @private
+   * @param {Object} data - 包含type、size和base64的对象
+   * @returns {Blob} Blob对象
+   */
+  function decodeBlob(data) {
+    var binary = atob(data.base64);
+    var bytes = new Uint8Array(binary.length);
+    for (var i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return new Blob([bytes], { type: data.type });
+  }
+
+  /**
+   * 通过后台发起请求
+   * @param {string} url - 请求地址
+   * @param {Object} [options] - 配置选项
+   * @param {string} [options.method='GET'] - 请求方法
+   * @param {Object} [options.headers] - 请求头
+   * @param {*} [options.body] - 请求体，普通对象会序列化为JSON
+   * @param {string} [options.responseType='text'] - 响应解析方式："text"、"json"或"blob"
+   * @param {boolean} [options.withCookies=false] - 是否携带目标站点的Cookie
+   * @param {number} [options.timeout=30000] - 超时时间(毫秒)
+   * @param {number} [options.cacheTtl=0] - GET请求成功响应的缓存时间(毫秒)，0表示不缓存
+   * @returns {Promise<Object>} 包含ok、status、statusText、url、headers、body和fromCache的响应，非2xx状态码不会拒绝
+   */
+  function request(url, options) {
+    options = Object.assign({
+      method: 'GET',
+      headers: {},
+      body: undefined,
+      responseType: 'text',
+      withCookies: false,
+      timeout: DEFAULT_TIMEOUT,
+      cacheTtl: 0
+    }, options);
+
+    var headers = Object.assign({}, options.headers);
+    var body = options.body;
+    if (body !== undefined && body !== null && typeof body === 'object') {
+      body = JSON.stringify(body);
+      if (!headers['Content-Type'] && !headers['content-type']) {
+        headers['Content-Type'] = 'application/json';
+      }
+    }
+
+    return window.MessageBus.call('fetch', {
+      url: new URL(url, window.location.href).href,
+      method: options.method,
+      headers: headers,
+      body: body,
+      responseType: options.responseType,
+      credentials: options.withCookies ? 'include' : 'omit',
+      timeout: options.timeout,
+      cacheTtl: options.cacheTtl
+    }, {
+      // 留出消息往返的时间，超时由后台判定
+      timeout: options.timeout + 1000
+    }).then(function(response) {
+      if (options.responseType === 'blob' && response.body) {
+        response.body = decodeBlob(response.body);
+      }
+      return response;
+    });
+  }
+
+  /**
+   * 请求JSON数据，状态码非2xx时以HTTP_ERROR拒绝
+   * @param {string} url - 请求地址
+   * @param {Object} [options] - 与request相同的配置选项，responseType固定为"json"
+   * @returns {Promise<*>} 解析后的响应体
+   */
+  function getJson(url, options) {
+    return request(url, Object.assign({}, options, { responseType: 'json' })).then(function(response) {
+      if (!response.ok) {
+        var error = window.MessageBus.createError('HTTP_ERROR', '请求失败: ' + response.status + ' ' + response.statusText);
+        error.status = response.status;
+        throw error;
+      }
+      return response.body;
+    });
+  }
+
+  // 将代理请求功能导出到全局命名空间
+  window.ProxyFetch = {
+    request: request,
+    getJson: getJson
+  };
+})();
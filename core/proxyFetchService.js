@@ -0,0 +1,286 @@
+/**
+ * @fileoverview 后台代理请求服务，负责按允许列表检查请求来源、发起请求、解析响应及缓存GET响应
+ * 由background.js通过importScripts加载；不依赖chrome API，所需的允许列表和错误构造由调用方传入，
+ * 可在Node中单独加载验证，见scripts/checkProxyFetch.js
+ * @namespace ProxyFetchService
+ */
+
+(function(global) {
+  /**
+   * 默认的请求超时时间(毫秒)
+   * @type {number}
+   */
+  var DEFAULT_TIMEOUT = 30000;
+
+  /**
+   * 默认的最大缓存条数
+   * @type {number}
+   */
+  var DEFAULT_CACHE_LIMIT = 50;
+
+  /**
+   * 创建带错误码的错误，未传入createError时使用
+   * @private
+   * @param {string} code - 错误码
+   * @param {string} message - 错误信息
+   * @returns {Error} 错误对象
+   */
+  function createCodedError(code, message) {
+    var error = new Error(message);
+    error.code = code;
+    return error;
+  }
+
+  /**
+   * 判断允许列表是否允许来源URL访问目标URL
+   * @param {Object<string, Array<string>>} allowList - 键为来源的主机匹配模式，值为允许访问的目标主机匹配模式
+   * @param {URL} sourceUrl - 来源页面的URL
+   * @param {URL} targetUrl - 目标URL
+   * @returns {boolean} 是否允许
+   */
+  function isAllowed(allowList, sourceUrl, targetUrl) {
+    var HostPattern = global.HostPattern;
+
+    return Object.keys(allowList || {}).some(function(sourcePattern) {
+      return HostPattern.test(sourcePattern, sourceUrl) && (allowList[sourcePattern] || []).some(function(targetPattern) {
+        return HostPattern.test(targetPattern, targetUrl);
+      });
+    });
+  }
+
+  /**
+   * 将ArrayBuffer编码为base64字符串
+   * @private
+   * @param {ArrayBuffer} buffer - 二进制数据
+   * @returns {string} base64字符串
+   */
+  function encodeBase64(buffer) {
+    var bytes = new Uint8Array(buffer);
+    var binary = '';
+    // 分段转换，避免参数过多导致栈溢出
+    for (var i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+  }
+
+  /**
+   * 获取请求的缓存键，只有GET请求可以缓存
+   * @private
+   * @param {Object} payload - 请求参数
+   * @returns {string|null} 缓存键，不可缓存时返回null
+   */
+  function getCacheKey(payload) {
+    if (!payload.cacheTtl || (payload.method || 'GET').toUpperCase() !== 'GET') {
+      return null;
+    }
+    return JSON.stringify([payload.url, payload.responseType, payload.credentials, payload.headers || {}]);
+  }
+
+  /**
+   * 创建代理请求服务
+   * @param {Object} options - 配置选项
+   * @param {Function} options.getAllowList - 返回Promise，resolve为允许列表，格式见isAllowed
+   * @param {Function} [options.createError] - 创建带错误码的错误，接收(code, message)
+   * @param {Function} [options.fetch] - fetch实现，默认使用全局fetch
+   * @param {number} [options.timeout=30000] - 默认的请求超时时间(毫秒)
+   * @param {number} [options.cacheLimit=50] - 最大缓存条数，超出时丢弃最早的条目
+   * @returns {Object} 包含request、checkAllowed和clearCache的服务对象
+   */
+  function create(options) {
+    var createError = options.createError || createCodedError;
+    var defaultTimeout = options.timeout || DEFAULT_TIMEOUT;
+    var cacheLimit = options.cacheLimit || DEFAULT_CACHE_LIMIT;
+
+    /**
+     * 响应缓存，按插入顺序淘汰
+     * @type {Map<string, {response: Object, expires: number}>}
+     */
+    var cache = new Map();
+
+    /**
+     * 检查发送者是否允许访问目标URL，扩展页面(没有标签页的发送者)不受限制
+     * @param {Object} sender - 请求发送者
+     * @param {URL} targetUrl - 目标URL
+     * @returns {Promise<void>} 不允许时以NOT_ALLOWED拒绝
+     */
+    function checkAllowed(sender, targetUrl) {
+      if (!sender.tab) {
+        return Promise.resolve();
+      }
+
+      return Promise.resolve(options.getAllowList()).then(function(allowList) {
+        var senderUrl = new URL(sender.url || sender.tab.url);
+        if (!isAllowed(allowList, senderUrl, targetUrl)) {
+          throw createError('NOT_ALLOWED', senderUrl.host + '不允许访问' + targetUrl.host);
+        }
+      });
+    }
+
+    /**
+     * 读取未过期的缓存响应
+     * @param {string|null} key - 缓存键
+     * @returns {Object|null} 缓存的响应
+     */
+    function readCache(key) {
+      var entry = key && cache.get(key);
+      if (!entry) return null;
+
+      if (entry.expires <= Date.now()) {
+        cache.delete(key);
+        return null;
+      }
+      return Object.assign({}, entry.response, { fromCache: true });
+    }
+
+    /**
+     * 缓存成功的响应，超出上限时丢弃最早的条目
+     * @param {string|null} key - 缓存键
+     * @param {Object} response - 响应
+     * @param {number} ttl - 缓存时间(毫秒)
+     */
+    function writeCache(key, response, ttl) {
+      if (!key || !response.ok) return;
+
+      cache.delete(key);
+      cache.set(key, { response: response, expires: Date.now() + ttl });
+      if (cache.size > cacheLimit) {
+        cache.delete(cache.keys().next().value);
+      }
+    }
+
+    /**
+     * 按responseType读取响应体，blob编码为{type, size, base64}以便通过消息传递
+     * 状态码非2xx且响应不是JSON时返回原始文本
+     * @param {Response} response - fetch响应
+     * @param {string} responseType - "text"、"json"或"blob"
+     * @returns {Promise<*>} 响应体
+     */
+    function readBody(response, responseType) {
+      if (responseType === 'json') {
+        return response.text().then(function(text) {
+          if (!text) return null;
+          try {
+            return JSON.parse(text);
+          } catch (error) {
+            // 错误页面通常不是JSON，保留原文交给调用方按状态码处理
+            if (!response.ok) return text;
+            throw createError('PARSE_ERROR', '响应不是有效的JSON: ' + error.message);
+          }
+        });
+      }
+      if (responseType === 'blob') {
+        return response.arrayBuffer().then(function(buffer) {
+          return {
+            type: response.headers.get('content-type') || '',
+            size: buffer.byteLength,
+            base64: encodeBase64(buffer)
+          };
+        });
+      }
+      return response.text();
+    }
+
+    /**
+     * 发起代理请求，目标主机及重定向后的主机都需在发送者的允许列表中
+     * @param {Object} payload - 请求参数
+     * @param {string} payload.url - 请求地址
+     * @param {string} [payload.method='GET'] - 请求方法
+     * @param {Object} [payload.headers] - 请求头
+     * @param {string} [payload.body] - 请求体，对象需先序列化
+     * @param {string} [payload.responseType='text'] - 响应解析方式："text"、"json"或"blob"
+     * @param {string} [payload.credentials='omit'] - 是否携带目标站点的Cookie："omit"或"include"
+     * @param {number} [payload.timeout] - 超时时间(毫秒)，默认使用创建服务时的timeout
+     * @param {number} [payload.cacheTtl=0] - GET请求成功响应的缓存时间(毫秒)，0表示不缓存
+     * @param {Object} sender - 请求发送者
+     * @returns {Promise<Object>} 包含ok、status、statusText、url、headers、body和fromCache的响应
+     */
+    function request(payload, sender) {
+      if (!payload || !payload.url) {
+        return Promise.reject(createError('INVALID_PAYLOAD', '请求需要提供url'));
+      }
+
+      var targetUrl;
+      try {
+        targetUrl = new URL(payload.url);
+      } catch (error) {
+        return Promise.reject(createError('INVALID_PAYLOAD', '无效的请求地址: ' + payload.url));
+      }
+
+      return checkAllowed(sender, targetUrl).then(function() {
+        var cacheKey = getCacheKey(payload);
+        var cached = readCache(cacheKey);
+        if (cached) {
+          return cached;
+        }
+
+        var fetchImpl = options.fetch || global.fetch;
+        var controller = new AbortController();
+        var timer = setTimeout(function() {
+          controller.abort();
+        }, payload.timeout || defaultTimeout);
+
+        return fetchImpl(targetUrl.href, {
+          method: payload.method || 'GET',
+          headers: payload.headers || {},
+          body: payload.body,
+          credentials: payload.credentials === 'include' ? 'include' : 'omit',
+          signal: controller.signal
+        })
+          .then(function(response) {
+            // fetch自动跟随重定向，重定向后的地址同样需要在允许列表中，否则不读取响应
+            var finalUrl = response.url ? new URL(response.url) : targetUrl;
+            return checkAllowed(sender, finalUrl).then(function() {
+              return readBody(response, payload.responseType);
+            }, function(error) {
+              controller.abort();
+              throw error;
+            }).then(function(body) {
+              var headers = {};
+              response.headers.forEach(function(value, key) {
+                headers[key] = value;
+              });
+              return {
+                ok: response.ok,
+                status: response.status,
+                statusText: response.statusText,
+                url: response.url,
+                headers: headers,
+                body: body,
+                fromCache: false
+              };
+            });
+          })
+          .then(function(result) {
+            writeCache(cacheKey, result, payload.cacheTtl);
+            return result;
+          }, function(error) {
+            if (error.name === 'AbortError') {
+              throw createError('TIMEOUT', '请求超时: ' + payload.url);
+            }
+            if (error.code) {
+              throw error;
+            }
+            throw createError('FETCH_ERROR', '请求失败: ' + error.message);
+          })
+          .finally(function() {
+            clearTimeout(timer);
+          });
+      });
+    }
+
+    return {
+      request: request,
+      checkAllowed: checkAllowed,
+      clearCache: function() {
+        cache.clear();
+      }
+    };
+  }
+
+  // 将代理请求服务导出到全局命名空间
+  global.ProxyFetchService = {
+    create: create,
+    isAllowed: isAllowed
+  };
+})(typeof self !== 'undefined' ? self : globalThis);
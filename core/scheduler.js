@@ -0,0 +1,135 @@
+/**
+ * @fileoverview 定时任务模块，在后台通过chrome.alarms周期执行任务，页面未打开或未聚焦时也会执行
+ * 任务定义、上次执行时间和结果由后台持久化保存
+ * @namespace Scheduler
+ */
+
+(function() {
+  /**
+   * 当前框架注册的任务处理函数，键为"站点/任务名称"
+   * @type {Object<string, Function>}
+   */
+  var jobHandlers = {};
+
+  /**
+   * 获取任务在所属站点内的键，站点名和任务名分别编码
+   * @private
+   * @param {string|null} site - 所属站点名称
+   * @param {string} name - 任务名称
+   * @returns {string} 键
+   */
+  function getJobKey(site, name) {
+    return encodeURIComponent(site || '') + '/' + encodeURIComponent(name);
+  }
+
+  /**
+   * 注册或更新定时任务，同一站点内同名任务的定义未变化时保留原有的执行计划
+   * @param {Object} definition - 任务定义，必须可序列化
+   * @param {string} definition.name - 任务名称，在所属站点内唯一
+   * @param {number} definition.periodInMinutes - 执行周期(分钟)，不小于0.5
+   * @param {number} [definition.delayInMinutes] - 首次执行的延迟(分钟)，默认等于周期
+   * @param {string} [definition.site] - 所属站点名称，任务按站点区分，执行结果按站点广播
+   * @param {string} [definition.missedRunPolicy='runOnce'] - 错过执行时间时补执行一次(runOnce)或跳过(skip)
+   * @param {Object} [definition.fetch] - 由后台发起请求，参数与后台fetch动作相同，如{url, responseType, credentials}
+   * @param {Object} [definition.tab] - 在标签页中执行Scheduler.handle注册的处理函数
+   * @param {string} definition.tab.url - 目标标签页的地址前缀
+   * @param {boolean} [definition.tab.openIfMissing=true] - 没有打开的标签页时是否在后台打开
+   * @param {boolean} [definition.tab.keepOpen=false] - 执行后是否保留任务打开的标签页
+   * @param {number} [definition.tab.readyTimeout=60000] - 等待页面加载并注册处理函数的时间(毫秒)
+   * @param {number} [definition.tab.runTimeout=60000] - 处理函数的执行超时时间(毫秒)
+   * @param {*} [definition.payload] - 传给处理函数的参数
+   * @returns {Promise<Object>} 任务记录，包含definition、nextRun、lastRun、lastResult、runCount和missedRuns
+   */
+  function schedule(definition) {
+    return window.MessageBus.call('scheduler.schedule', definition);
+  }
+
+  /**
+   * 取消定时任务
+   * @param {string} name - 任务名称
+   * @param {Object} [options] - 选项
+   * @param {string} [options.site] - 任务所属站点名称，与注册时的site一致
+   * @returns {Promise<boolean>} 是否找到并取消了该任务
+   */
+  function cancel(name, options) {
+    options = options || {};
+    return window.MessageBus.call('scheduler.cancel', { site: options.site || null, name: name });
+  }
+
+  /**
+   * 立即执行一次定时任务，不影响执行计划
+   * @param {string} name - 任务名称
+   * @param {Object} [options] - 选项
+   * @param {string} [options.site] - 任务所属站点名称，与注册时的site一致
+   * @returns {Promise<Object|null>} 执行结果，包含ok、value或error、trigger和duration；任务不存在或正在执行时为null
+   */
+  function runNow(name, options) {
+    options = options || {};
+    return window.MessageBus.call('scheduler.runNow', { site: options.site || null, name: name }, {
+      // 标签页任务可能需要等待页面加载
+      timeout: 120000
+    });
+  }
+
+  /**
+   * 获取所有定时任务记录
+   * @returns {Promise<Array<Object>>} 任务记录数组
+   */
+  function list() {
+    return window.MessageBus.call('scheduler.list');
+  }
+
+  /**
+   * 注册标签页任务的处理函数，任务执行时后台调用目标标签页中同一站点同名的处理函数
+   * @param {string} name - 任务名称
+   * @param {Function} callback - 处理函数，接收payload，返回值或Promise作为任务结果
+   * @param {Object} [options] - 选项
+   * @param {string} [options.site] - 任务所属站点名称，与注册时的site一致
+   * @returns {Function} 注销该处理函数的函数，可直接传给pageInfo.track
+   */
+  function handle(name, callback, options) {
+    var key = getJobKey((options || {}).site, name);
+    jobHandlers[key] = callback;
+    return function() {
+      if (jobHandlers[key] === callback) {
+        delete jobHandlers[key];
+      }
+    };
+  }
+
+  /**
+   * 订阅任务的执行结果，任务每次执行后都会广播给所有标签页
+   * @param {string} name - 任务名称
+   * @param {Function} callback - 回调函数，接收执行结果，包含ok、value或error、trigger和duration
+   * @param {Object} [options] - 选项
+   * @param {string} [options.site] - 任务所属站点名称，只接收该站点同名任务的结果
+   * @returns {Function} 取消订阅的函数，可直接传给pageInfo.track
+   */
+  function onResult(name, callback, options) {
+    var site = (options || {}).site || null;
+    return window.TabEvents.subscribe('scheduler.' + name, function(data) {
+      // 不同站点的同名任务使用相同主题，按站点区分
+      if ((data.site || null) !== site) return;
+      callback(data.result);
+    });
+  }
+
+  // 执行后台触发的标签页任务，尚未注册处理函数时后台会稍后重试
+  window.MessageBus.register('scheduler.run', function(message) {
+    var callback = jobHandlers[getJobKey(message.site, message.name)];
+    if (!callback) {
+      throw window.MessageBus.createError('NO_JOB_HANDLER', '当前页面没有注册任务"' + message.name + '"的处理函数');
+    }
+    return callback(message.payload);
+  });
+
+  // 将定时任务功能导出到全局命名空间
+  window.Scheduler = {
+    schedule: schedule,
+    cancel: cancel,
+    runNow: runNow,
+    list: list,
+    handle: handle,
+    onResult: onResult
+  };
+})();
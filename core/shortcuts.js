@@ -0,0 +1,362 @@
+/**
+ * @fileoverview 快捷键模块，提供页面内快捷键注册，并转发manifest中commands定义的浏览器快捷键
+ * 用户修改的按键保存在共享存储中，注册时自动生效；其他页面或选项页修改后，本页面随共享存储同步立即生效
+ * @namespace Shortcuts
+ */
+
+(function() {
+  /**
+   * 保存用户按键设置的共享存储命名空间
+   * @type {string}
+   */
+  var NAMESPACE = 'shortcuts';
+
+  /**
+   * 修饰键的规范顺序
+   * @type {Array<string>}
+   */
+  var MODIFIERS = ['Ctrl', 'Alt', 'Shift', 'Meta'];
+
+  /**
+   * 修饰键的别名
+   * @type {Object<string, string>}
+   */
+  var MODIFIER_ALIASES = {
+    control: 'Ctrl',
+    ctrl: 'Ctrl',
+    alt: 'Alt',
+    option: 'Alt',
+    shift: 'Shift',
+    meta: 'Meta',
+    cmd: 'Meta',
+    command: 'Meta'
+  };
+
+  /**
+   * 支持的非字符主键，键为小写名称
+   * @type {Object<string, string>}
+   */
+  var KEY_NAMES = {
+    escape: 'Escape',
+    esc: 'Escape',
+    enter: 'Enter',
+    tab: 'Tab',
+    space: 'Space',
+    backspace: 'Backspace',
+    delete: 'Delete',
+    insert: 'Insert',
+    home: 'Home',
+    end: 'End',
+    pageup: 'PageUp',
+    pagedown: 'PageDown',
+    arrowup: 'ArrowUp',
+    arrowdown: 'ArrowDown',
+    arrowleft: 'ArrowLeft',
+    arrowright: 'ArrowRight'
+  };
+
+  /**
+   * 已注册的快捷键，按注册顺序排列，按键冲突时先注册的生效
+   * @type {Array<Object>}
+   */
+  var registrations = [];
+
+  /**
+   * 保存用户按键设置的存储对象，其bindings字段的键为快捷键ID；读取完成前为null
+   * 其他页面修改共享存储后由StorageManager同步更新
+   * @type {Object|null}
+   */
+  var bindingStorage = null;
+
+  /**
+   * 共享存储对象的Promise
+   * @type {Promise<Object>|null}
+   */
+  var storagePromise = null;
+
+  /**
+   * 获取保存用户按键设置的存储对象
+   * @private
+   * @returns {Promise<Object>} 存储代理对象
+   */
+  function getShortcutStorage() {
+    if (!storagePromise) {
+      storagePromise = window.StorageManager.getSharedStorage(NAMESPACE).then(function(storage) {
+        bindingStorage = storage;
+        return storage;
+      });
+    }
+    return storagePromise;
+  }
+
+  /**
+   * 将按键描述规范化为"Ctrl+Alt+Shift+Meta+键"的形式
+   * @param {string} keys - 按键描述，如"ctrl+shift+o"
+   * @returns {string} 规范化后的按键
+   * @throws {Error} 格式错误或缺少主键时抛出错误
+   */
+  function normalizeKeys(keys) {
+    if (typeof keys !== 'string' || !keys.trim()) {
+      throw new Error('快捷键必须是非空字符串');
+    }
+
+    var modifiers = {};
+    var key = null;
+
+    keys.split('+').forEach(function(part) {
+      part = part.trim();
+      var modifier = MODIFIER_ALIASES[part.toLowerCase()];
+      if (modifier) {
+        modifiers[modifier] = true;
+      } else if (key === null && part.length === 1) {
+        key = part.toUpperCase();
+      } else if (key === null && (KEY_NAMES[part.toLowerCase()] || /^f([1-9]|1[0-2])$/i.test(part))) {
+        key = KEY_NAMES[part.toLowerCase()] || part.toUpperCase();
+      } else {
+        throw new Error('无效的快捷键: ' + keys);
+      }
+    });
+
+    if (!key) {
+      throw new Error('快捷键缺少主键: ' + keys);
+    }
+
+    return MODIFIERS.filter(function(modifier) {
+      return modifiers[modifier];
+    }).concat([key]).join('+');
+  }
+
+  /**
+   * 获取键盘事件对应的规范化按键，字母和数字按物理按键计算，不受Shift影响
+   * @private
+   * @param {KeyboardEvent} event - 键盘事件
+   * @returns {string|null} 规范化后的按键，单独按下修饰键时返回null
+   */
+  function getEventKeys(event) {
+    var key = event.key;
+    if (/^Key[A-Z]$/.test(event.code)) {
+      key = event.code.slice(3);
+    } else if (/^Digit[0-9]$/.test(event.code)) {
+      key = event.code.slice(5);
+    } else if (key && key.length === 1) {
+      key = key.toUpperCase();
+    }
+
+    if (!key || MODIFIER_ALIASES[key.toLowerCase()]) {
+      return null;
+    }
+
+    var modifiers = [];
+    if (event.ctrlKey) modifiers.push('Ctrl');
+    if (event.altKey) modifiers.push('Alt');
+    if (event.shiftKey) modifiers.push('Shift');
+    if (event.metaKey) modifiers.push('Meta');
+    return modifiers.concat([key === ' ' ? 'Space' : key]).join('+');
+  }
+
+  /**
+   * 获取快捷键当前生效的按键，用户修改过时使用修改后的按键
+   * @private
+   * @param {Object} registration - 快捷键注册记录
+   * @returns {string|null} 规范化后的按键
+   */
+  function getEffectiveKeys(registration) {
+    var bindings = bindingStorage && bindingStorage.bindings;
+    return (bindings && bindings[registration.id]) || registration.keys;
+  }
+
+  /**
+   * 查找与快捷键按键相同且先注册的快捷键
+   * @private
+   * @param {Object} registration - 快捷键注册记录
+   * @returns {Object|null} 冲突的快捷键注册记录
+   */
+  function findConflict(registration) {
+    var keys = getEffectiveKeys(registration);
+    if (!keys) return null;
+
+    for (var i = 0; i < registrations.length && registrations[i] !== registration; i++) {
+      if (getEffectiveKeys(registrations[i]) === keys) {
+        return registrations[i];
+      }
+    }
+    return null;
+  }
+
+  /**
+   * 注册快捷键，与已注册的快捷键按键冲突时先注册的生效，并在控制台输出警告
+   * 处理函数中建议通过pageInfo.addShortcut注册，离开路由时自动注销
+   * @param {string} id - 快捷键ID，全局唯一，用于保存用户修改的按键
+   * @param {Object} options - 配置选项
+   * @param {string} [options.keys] - 默认按键，如"Ctrl+Shift+O"；只通过浏览器快捷键触发时可不设置
+   * @param {number} [options.command] - 同时绑定的浏览器快捷键序号(1-3)，对应manifest中的site-command-1至site-command-3
+   * @param {string} [options.description] - 说明
+   * @param {Function} options.handler - 处理函数，接收触发的键盘事件，浏览器快捷键触发时为null
+   * @param {boolean} [options.allowInInput=false] - 焦点在输入框中时是否触发
+   * @param {Object} [options.scope] - 所属的站点和路由，用于显示，pageInfo.addShortcut会自动设置
+   * @returns {Function} 注销该快捷键的函数
+   * @throws {Error} ID重复、按键格式错误或缺少处理函数时抛出错误
+   */
+  function register(id, options) {
+    if (typeof id !== 'string' || !id) {
+      throw new Error('快捷键ID必须是非空字符串');
+    }
+    if (!options || typeof options.handler !== 'function') {
+      throw new Error('快捷键"' + id + '"缺少handler');
+    }
+    if (!options.keys && !options.command) {
+      throw new Error('快捷键"' + id + '"必须设置keys或command');
+    }
+    var exists = registrations.some(function(registration) {
+      return registration.id === id;
+    });
+    if (exists) {
+      throw new Error('快捷键"' + id + '"已注册');
+    }
+
+    var registration = {
+      id: id,
+      keys: options.keys ? normalizeKeys(options.keys) : null,
+      command: options.command || null,
+      description: options.description || '',
+      handler: options.handler,
+      allowInInput: !!options.allowInInput,
+      scope: options.scope || null
+    };
+    registrations.push(registration);
+
+    var conflict = findConflict(registration);
+    if (conflict) {
+      console.warn('快捷键"' + id + '"的按键' + getEffectiveKeys(registration) + '与"' + conflict.id + '"冲突，暂不生效');
+    }
+
+    return function() {
+      registrations = registrations.filter(function(item) {
+        return item !== registration;
+      });
+    };
+  }
+
+  /**
+   * 修改快捷键的按键并保存，之后注册的同ID快捷键也使用该按键
+   * @param {string} id - 快捷键ID
+   * @param {string|null} keys - 新的按键，null表示恢复默认
+   * @returns {Promise<string|null>} 规范化后的按键
+   * @throws {Error} 按键格式错误或与其他已注册的快捷键冲突时抛出错误
+   */
+  function remap(id, keys) {
+    var normalized = keys === null ? null : normalizeKeys(keys);
+
+    var taken = normalized && registrations.find(function(registration) {
+      return registration.id !== id && getEffectiveKeys(registration) === normalized;
+    });
+    if (taken) {
+      throw new Error('按键' + normalized + '已被快捷键"' + taken.id + '"使用');
+    }
+
+    return getShortcutStorage().then(function(storage) {
+      var bindings = Object.assign({}, storage.bindings);
+      if (normalized) {
+        bindings[id] = normalized;
+      } else {
+        delete bindings[id];
+      }
+      storage.bindings = Object.keys(bindings).length > 0 ? bindings : null;
+      return storage.$flush().then(function() {
+        return normalized;
+      });
+    });
+  }
+
+  /**
+   * 获取当前注册的所有快捷键
+   * @returns {Array<Object>} 快捷键信息数组，每项包含id、keys(生效的按键)、defaultKeys、command、description、scope和conflictWith(冲突时先注册的快捷键ID)
+   */
+  function list() {
+    return registrations.map(function(registration) {
+      var conflict = findConflict(registration);
+      return {
+        id: registration.id,
+        keys: getEffectiveKeys(registration),
+        defaultKeys: registration.keys,
+        command: registration.command,
+        description: registration.description,
+        scope: registration.scope,
+        conflictWith: conflict ? conflict.id : null
+      };
+    });
+  }
+
+  /**
+   * 执行快捷键的处理函数，出错不影响页面的其他按键处理
+   * @private
+   * @param {Object} registration - 快捷键注册记录
+   * @param {KeyboardEvent|null} event - 触发的键盘事件
+   */
+  function runHandler(registration, event) {
+    try {
+      registration.handler(event);
+    } catch (error) {
+      console.error('执行快捷键"' + registration.id + '"时发生错误:', error);
+    }
+  }
+
+  /**
+   * 判断事件目标是否为可输入的元素
+   * @private
+   * @param {EventTarget} target - 事件目标
+   * @returns {boolean} 是否为输入框、文本域、下拉框或可编辑元素
+   */
+  function isEditable(target) {
+    if (!target || !target.tagName) return false;
+    var tagName = target.tagName.toLowerCase();
+    return tagName === 'input' || tagName === 'textarea' || tagName === 'select' || !!target.isContentEditable;
+  }
+
+  /**
+   * 处理页面按键，找到生效的快捷键后阻止页面的默认行为
+   * @private
+   * @param {KeyboardEvent} event - 键盘事件
+   */
+  function handleKeydown(event) {
+    if (event.repeat || registrations.length === 0) return;
+
+    var keys = getEventKeys(event);
+    if (!keys) return;
+
+    var registration = registrations.find(function(item) {
+      return getEffectiveKeys(item) === keys;
+    });
+    if (!registration || (!registration.allowInInput && isEditable(event.target))) return;
+
+    event.preventDefault();
+    event.stopPropagation();
+    runHandler(registration, event);
+  }
+
+  // 读取用户修改的按键
+  if (window.StorageManager) {
+    getShortcutStorage();
+  }
+
+  document.addEventListener('keydown', handleKeydown, true);
+
+  // 浏览器快捷键由后台转发到当前标签页，执行绑定了该序号的第一个快捷键
+  window.MessageBus.register('shortcuts.command', function(payload) {
+    var registration = registrations.find(function(item) {
+      return item.command === payload.command;
+    });
+    if (!registration) return false;
+
+    runHandler(registration, null);
+    return true;
+  });
+
+  // 将快捷键功能导出到全局命名空间
+  window.Shortcuts = {
+    normalizeKeys: normalizeKeys,
+    register: register,
+    remap: remap,
+    list: list
+  };
+})();
@@ -0,0 +1,264 @@
+/**
+ * @fileoverview 站点设置模块，在chrome.storage.local中保存站点和路由的启用状态、站点选项、通知静音及全局配置
+ * 内容脚本和扩展页面(弹出窗口、选项页)共用，修改后通过storage.onChanged通知所有已打开的页面
+ * @namespace SiteSettings
+ */
+
+(function() {
+  /**
+   * 站点设置在chrome.storage.local中的键
+   * @type {string}
+   */
+  var STORAGE_KEY = 'siteManager.settings';
+
+  /**
+   * 补全设置对象的结构
+   * @private
+   * @param {Object} [settings] - 保存的设置
+   * @returns {Object} 设置对象：global为覆盖content.js中CONFIG的配置；
+   *   sites的键为站点名称，值包含enabled、disabledRoutes(停用的路由路径)、values(站点选项的取值)和notificationsMuted(通知是否静音)
+   */
+  function normalize(settings) {
+    settings = settings || {};
+    return {
+      global: Object.assign({}, settings.global),
+      sites: Object.assign({}, settings.sites)
+    };
+  }
+
+  /**
+   * 读取站点设置
+   * @returns {Promise<Object>} 设置对象，包含global和sites
+   */
+  function load() {
+    return new Promise(function(resolve) {
+      chrome.storage.local.get(STORAGE_KEY, function(result) {
+        if (chrome.runtime.lastError) {
+          console.error("读取站点设置失败:", chrome.runtime.lastError.message);
+          resolve(normalize(null));
+          return;
+        }
+        resolve(normalize(result[STORAGE_KEY]));
+      });
+    });
+  }
+
+  /**
+   * 保存站点设置
+   * @private
+   * @param {Object} settings - 设置对象
+   * @returns {Promise<Object>} 保存的设置对象
+   */
+  function save(settings) {
+    var data = {};
+    data[STORAGE_KEY] = settings;
+
+    return new Promise(function(resolve, reject) {
+      chrome.storage.local.set(data, function() {
+        if (chrome.runtime.lastError) {
+          reject(new Error("保存站点设置失败: " + chrome.runtime.lastError.message));
+          return;
+        }
+        resolve(settings);
+      });
+    });
+  }
+
+  /**
+   * 读取设置、修改单个站点的设置后保存，修改后没有任何设置的站点会被移除
+   * @private
+   * @param {string} name - 站点名称
+   * @param {Function} mutator - 接收站点设置的副本并直接修改
+   * @returns {Promise<Object>} 保存后的设置对象
+   */
+  function updateSite(name, mutator) {
+    return load().then(function(settings) {
+      var site = Object.assign({}, settings.sites[name]);
+      mutator(site);
+
+      if (Object.keys(site).length > 0) {
+        settings.sites[name] = site;
+      } else {
+        delete settings.sites[name];
+      }
+      return save(settings);
+    });
+  }
+
+  /**
+   * 判断设置中站点是否启用，未设置过的站点默认启用
+   * @param {Object} settings - 设置对象
+   * @param {string} name - 站点名称
+   * @returns {boolean} 是否启用
+   */
+  function isSiteEnabled(settings, name) {
+    var site = settings && settings.sites && settings.sites[name];
+    return !site || site.enabled !== false;
+  }
+
+  /**
+   * 判断设置中路由是否启用，不考虑所属站点是否启用
+   * @param {Object} settings - 设置对象
+   * @param {string} name - 站点名称
+   * @param {string} path - 路由路径
+   * @returns {boolean} 是否启用
+   */
+  function isRouteEnabled(settings, name, path) {
+    var site = settings && settings.sites && settings.sites[name];
+    return !site || !site.disabledRoutes || site.disabledRoutes.indexOf(path) === -1;
+  }
+
+  /**
+   * 判断设置中站点的桌面通知是否已静音，后台显示通知前读取同一字段
+   * @param {Object} settings - 设置对象
+   * @param {string} name - 站点名称
+   * @returns {boolean} 是否已静音
+   */
+  function isNotificationMuted(settings, name) {
+    var site = settings && settings.sites && settings.sites[name];
+    return !!site && site.notificationsMuted === true;
+  }
+
+  /**
+   * 启用或停用站点，已打开的页面立即生效
+   * @param {string} name - 站点名称
+   * @param {boolean} enabled - 是否启用
+   * @returns {Promise<Object>} 保存后的设置对象
+   */
+  function setSiteEnabled(name, enabled) {
+    return updateSite(name, function(site) {
+      if (enabled) {
+        delete site.enabled;
+      } else {
+        site.enabled = false;
+      }
+    });
+  }
+
+  /**
+   * 启用或停用站点的路由，同一站点中路径相同的路由一起生效
+   * @param {string} name - 站点名称
+   * @param {string} path - 路由路径
+   * @param {boolean} enabled - 是否启用
+   * @returns {Promise<Object>} 保存后的设置对象
+   */
+  function setRouteEnabled(name, path, enabled) {
+    return updateSite(name, function(site) {
+      var disabledRoutes = (site.disabledRoutes || []).filter(function(item) {
+        return item !== path;
+      });
+      if (!enabled) {
+        disabledRoutes.push(path);
+      }
+
+      if (disabledRoutes.length > 0) {
+        site.disabledRoutes = disabledRoutes;
+      } else {
+        delete site.disabledRoutes;
+      }
+    });
+  }
+
+  /**
+   * 设置站点的桌面通知静音状态，所有来源的页面共用
+   * @param {string} name - 站点名称
+   * @param {boolean} muted - 是否静音
+   * @returns {Promise<Object>} 保存后的设置对象
+   */
+  function setNotificationMuted(name, muted) {
+    return updateSite(name, function(site) {
+      if (muted) {
+        site.notificationsMuted = true;
+      } else {
+        delete site.notificationsMuted;
+      }
+    });
+  }
+
+  /**
+   * 保存站点选项的取值，取值为null或undefined的选项恢复为站点声明的默认值
+   * @param {string} name - 站点名称
+   * @param {Object} values - 选项取值，键为站点options中声明的key
+   * @returns {Promise<Object>} 保存后的设置对象
+   */
+  function setSiteValues(name, values) {
+    return updateSite(name, function(site) {
+      var merged = Object.assign({}, site.values, values);
+      Object.keys(merged).forEach(function(key) {
+        if (merged[key] === null || merged[key] === undefined) {
+          delete merged[key];
+        }
+      });
+
+      if (Object.keys(merged).length > 0) {
+        site.values = merged;
+      } else {
+        delete site.values;
+      }
+    });
+  }
+
+  /**
+   * 保存覆盖content.js中CONFIG的全局配置，取值为null或undefined的配置恢复默认值
+   * @param {Object} values - 配置取值，如{URL_PROCESS_DELAY: 1000}
+   * @returns {Promise<Object>} 保存后的设置对象
+   */
+  function setGlobal(values) {
+    return load().then(function(settings) {
+      var merged = Object.assign({}, settings.global, values);
+      Object.keys(merged).forEach(function(key) {
+        if (merged[key] === null || merged[key] === undefined) {
+          delete merged[key];
+        }
+      });
+
+      settings.global = merged;
+      return save(settings);
+    });
+  }
+
+  /**
+   * 清除站点的所有设置，恢复为启用且使用默认选项
+   * @param {string} name - 站点名称
+   * @returns {Promise<Object>} 保存后的设置对象
+   */
+  function resetSite(name) {
+    return updateSite(name, function(site) {
+      Object.keys(site).forEach(function(key) {
+        delete site[key];
+      });
+    });
+  }
+
+  /**
+   * 监听站点设置的变化，包括其他页面中的修改
+   * @param {Function} callback - 回调函数，接收变化后的设置对象
+   * @returns {Function} 取消监听的函数
+   */
+  function onChange(callback) {
+    function listener(changes, areaName) {
+      if (areaName !== 'local' || !changes[STORAGE_KEY]) return;
+      callback(normalize(changes[STORAGE_KEY].newValue));
+    }
+
+    chrome.storage.onChanged.addListener(listener);
+    return function() {
+      chrome.storage.onChanged.removeListener(listener);
+    };
+  }
+
+  // 将站点设置功能导出到全局命名空间
+  window.SiteSettings = {
+    load: load,
+    isSiteEnabled: isSiteEnabled,
+    isRouteEnabled: isRouteEnabled,
+    isNotificationMuted: isNotificationMuted,
+    setSiteEnabled: setSiteEnabled,
+    setRouteEnabled: setRouteEnabled,
+    setNotificationMuted: setNotificationMuted,
+    setSiteValues: setSiteValues,
+    setGlobal: setGlobal,
+    resetSite: resetSite,
+    onChange: onChange
+  };
+})();
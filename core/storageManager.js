@@ -1,5 +1,6 @@
 /**
  * @fileoverview 存储管理模块，提供站点特定存储和跨域共享存储功能
+ * 站点存储保存在网页所在来源的IndexedDB中，共享存储保存在扩展的chrome.storage.local中，所有站点读写同一份数据
  * @namespace StorageManager
  */
 
@@ -8,10 +9,32 @@
    * 存储状态和缓存管理
    */
   var storageMap = new Map();
+  var stateMap = new Map();
+  var errorListeners = [];
   var dbConnection = null;
   var DB_NAME = 'officeAssistantDB';
   var DB_VERSION = 1;
   var STORE_NAME = 'siteData';
+
+  /**
+   * 合并写入的延迟(毫秒)，期间的多次修改只写入一次
+   */
+  var WRITE_DELAY = 100;
+
+  /**
+   * 存储对象上的保留属性，不能作为数据字段
+   */
+  var RESERVED_PROPS = ['$flush', '$ready', '$lastError'];
+
+  /**
+   * 共享存储名称的前缀，后接命名空间
+   */
+  var SHARED_PREFIX = 'shared_';
+
+  /**
+   * 已迁移旧共享存储的网页来源在chrome.storage.local中的键，由后台的storage.mergeShared动作写入
+   */
+  var MIGRATED_ORIGINS_KEY = 'storageManager.migratedOrigins';
   
   /**
    * 检查存储可用性
@@ -60,34 +83,144 @@
   // 初始化数据库
   var dbPromise = initDatabase();
 
+  // 迁移当前来源中旧的共享存储，完成前不读取共享存储
+  var migrationPromise = migrateSharedStorage();
+
   /**
-   * 保存数据到存储
+   * 判断是否为共享存储
+   * @param {string} siteName - 存储名称
+   * @returns {boolean} 是否为共享存储
+   */
+  function isShared(siteName) {
+    return siteName.indexOf(SHARED_PREFIX) === 0;
+  }
+
+  /**
+   * 从chrome.storage.local读取
+   * @param {string} key - 键
+   * @returns {Promise<*>} 保存的值，不存在时为undefined
+   */
+  function chromeStorageGet(key) {
+    return new Promise(function(resolve, reject) {
+      chrome.storage.local.get(key, function(result) {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+          return;
+        }
+        resolve(result && result[key]);
+      });
+    });
+  }
+
+  /**
+   * 写入chrome.storage.local
+   * @param {string} key - 键
+   * @param {*} value - 值
+   * @returns {Promise<void>} 写入完成时resolve，失败时reject
+   */
+  function chromeStorageSet(key, value) {
+    return new Promise(function(resolve, reject) {
+      var obj = {};
+      obj[key] = value;
+      chrome.storage.local.set(obj, function() {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+          return;
+        }
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * 从chrome.storage.local删除
+   * @param {string} key - 键
+   * @returns {Promise<void>} 删除完成时resolve，失败时reject
+   */
+  function chromeStorageRemove(key) {
+    return new Promise(function(resolve, reject) {
+      chrome.storage.local.remove(key, function() {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+          return;
+        }
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * 共享存储不可用时的错误，扩展存储只在扩展环境中可用
+   * @returns {Error} 错误对象
+   */
+  function createSharedUnavailableError() {
+    return new Error('扩展存储不可用，无法读写共享存储');
+  }
+
+  /**
+   * 在IndexedDB中执行读写事务
+   * @param {Function} callback - 接收objectStore，在其上发起请求
+   * @returns {Promise<boolean>} 事务完成时resolve为true，数据库不可用时为false，事务失败时reject
+   */
+  function runTransaction(callback) {
+    return dbPromise.then(function(isDbReady) {
+      if (!isDbReady || !dbConnection) {
+        return false;
+      }
+
+      return new Promise(function(resolve, reject) {
+        var transaction = dbConnection.transaction([STORE_NAME], 'readwrite');
+        transaction.oncomplete = function() {
+          resolve(true);
+        };
+        transaction.onerror = transaction.onabort = function() {
+          reject(transaction.error || new Error('IndexedDB事务失败'));
+        };
+        callback(transaction.objectStore(STORE_NAME));
+      });
+    });
+  }
+
+  /**
+   * 将共享存储中修改过的字段交给后台的storage.updateShared动作写入扩展存储
+   * 后台按队列依次读改写，多个标签页同时修改不同字段时不会互相覆盖
+   * @param {string} siteName - 存储名称
+   * @param {Object} patch - 包含changes(修改的字段，值为null表示删除)和replace(是否整体替换)
+   * @returns {Promise<void>} 写入完成时resolve，失败时reject
+   */
+  function saveSharedChanges(siteName, patch) {
+    if (!checkStorageAvailability().chromeStorage || !window.MessageBus) {
+      return Promise.reject(createSharedUnavailableError());
+    }
+
+    return window.MessageBus.call('storage.updateShared', {
+      name: siteName,
+      changes: patch.changes,
+      replace: patch.replace
+    }).then(function() {});
+  }
+
+  /**
+   * 保存站点数据到存储，数据为空对象时删除该记录
    * @param {string} siteName - 站点名称
    * @param {Object} data - 要保存的数据
+   * @returns {Promise<void>} 写入完成时resolve，失败时reject
    */
   function saveData(siteName, data) {
-    // 1. 尝试保存到IndexedDB
-    dbPromise.then(function(isDbReady) {
-      if (isDbReady && dbConnection) {
-        try {
-          var transaction = dbConnection.transaction([STORE_NAME], 'readwrite');
-          var store = transaction.objectStore(STORE_NAME);
-           
-          // 如果数据为空对象，则删除该记录
-          if (data && Object.keys(data).length === 0) {
-            store.delete(siteName);
-          } else {
-            store.put({
-              siteName: siteName,
-              data: data,
-              lastUpdated: Date.now()
-            });
-          }
-        } catch (error) {
-          saveToFallback(siteName, data);
-        }
-      } else {
-        saveToFallback(siteName, data);
+    if (data && Object.keys(data).length === 0) {
+      return deleteData(siteName);
+    }
+
+    // 1. 尝试保存到IndexedDB，不可用时保存到备用存储
+    return runTransaction(function(store) {
+      store.put({
+        siteName: siteName,
+        data: data,
+        lastUpdated: Date.now()
+      });
+    }).then(function(saved) {
+      if (!saved) {
+        return saveToFallback(siteName, data);
       }
     });
   }
@@ -95,75 +228,57 @@
   /**
    * 彻底删除站点数据
    * @param {string} siteName - 站点名称
+   * @returns {Promise<void>} 删除完成时resolve，失败时reject
    */
   function deleteData(siteName) {
     console.log("删除数据: " + siteName);
-    // 从IndexedDB删除
-    dbPromise.then(function(isDbReady) {
-      if (isDbReady && dbConnection) {
-        try {
-          var transaction = dbConnection.transaction([STORE_NAME], 'readwrite');
-          var store = transaction.objectStore(STORE_NAME);
-          store.delete(siteName);
-        } catch (error) {
-          // 静默处理错误
-        }
-      }
-    });
-    
-    // 从其他存储删除
-    var storageKey = `site_${siteName}`;
-    var availability = checkStorageAvailability();
-    
-    if (availability.chromeStorage) {
-      chrome.storage.local.remove(storageKey);
-    }
-    
-    if (availability.localStorage) {
-      try {
-        localStorage.removeItem(storageKey);
-      } catch (err) {
-        // 静默处理错误
-      }
-    }
+    // 从IndexedDB和其他存储删除
+    return Promise.all([
+      runTransaction(function(store) {
+        store.delete(siteName);
+      }),
+      removeFromFallback(siteName)
+    ]).then(function() {});
   }
 
   /**
    * 保存到备用存储
    * @param {string} siteName - 站点名称
    * @param {Object} data - 要保存的数据
+   * @returns {Promise<void>} 写入完成时resolve，失败时reject
    */
   function saveToFallback(siteName, data) {
     var storageKey = `site_${siteName}`;
     var availability = checkStorageAvailability();
-    
-    // 如果数据为空对象，则删除该记录
-    if (data && Object.keys(data).length === 0) {
-      if (availability.chromeStorage) {
-        chrome.storage.local.remove(storageKey);
-      }
-      if (availability.localStorage) {
-        try {
-          localStorage.removeItem(storageKey);
-        } catch (err) {
-          // 静默处理错误
-        }
-      }
-      return;
-    }
-    
-    // 否则保存数据
+
     if (availability.chromeStorage) {
-      var obj = {};
-      obj[storageKey] = data;
-      chrome.storage.local.set(obj);
-    } else if (availability.localStorage) {
-      try {
+      return chromeStorageSet(storageKey, data);
+    }
+
+    return new Promise(function(resolve, reject) {
+      if (availability.localStorage) {
         localStorage.setItem(storageKey, JSON.stringify(data));
-      } catch (err) {
-        // 静默处理错误
+        resolve();
+      } else {
+        reject(new Error('没有可用的存储'));
       }
+    });
+  }
+
+  /**
+   * 从备用存储删除
+   * @param {string} siteName - 站点名称
+   * @returns {Promise<void>} 删除完成时resolve，失败时reject
+   */
+  function removeFromFallback(siteName) {
+    var storageKey = `site_${siteName}`;
+    var availability = checkStorageAvailability();
+
+    if (availability.localStorage) {
+      localStorage.removeItem(storageKey);
     }
+
+    return availability.chromeStorage ? chromeStorageRemove(storageKey) : Promise.resolve();
   }
 
   /**
@@ -172,6 +287,10 @@
    * @returns {Promise<Object>} 加载的数据
    */
   function loadData(siteName) {
+    if (isShared(siteName)) {
+      return loadShared(siteName);
+    }
+
     return new Promise(function(resolve) {
       dbPromise.then(function(isDbReady) {
         if (isDbReady && dbConnection) {
@@ -228,56 +347,362 @@
     });
   }
 
+  /**
+   * 从扩展存储加载共享存储，等待当前来源的旧数据迁移完成
+   * @param {string} siteName - 存储名称
+   * @returns {Promise<Object>} 加载的数据
+   */
+  function loadShared(siteName) {
+    if (!checkStorageAvailability().chromeStorage) {
+      console.error("读取共享存储" + siteName + "失败:", createSharedUnavailableError());
+      return Promise.resolve({});
+    }
+
+    return migrationPromise.then(function() {
+      return chromeStorageGet(`site_${siteName}`);
+    }).then(function(data) {
+      return data || {};
+    }, function(error) {
+      console.error("读取共享存储" + siteName + "失败:", error);
+      return {};
+    });
+  }
+
+  /**
+   * 读取当前来源IndexedDB中旧版本保存的共享存储记录
+   * @returns {Promise<Array<Object>>} 记录数组，每项包含siteName、data和source
+   */
+  function loadLegacyDbRecords() {
+    return dbPromise.then(function(isDbReady) {
+      if (!isDbReady || !dbConnection) return [];
+
+      return new Promise(function(resolve, reject) {
+        var transaction = dbConnection.transaction([STORE_NAME], 'readonly');
+        var range = IDBKeyRange.bound(SHARED_PREFIX, SHARED_PREFIX + '\uffff');
+        var request = transaction.objectStore(STORE_NAME).getAll(range);
+        request.onsuccess = function(event) {
+          resolve((event.target.result || []).map(function(record) {
+            return { siteName: record.siteName, data: record.data || {}, source: 'indexedDB' };
+          }));
+        };
+        request.onerror = function() {
+          reject(request.error);
+        };
+      });
+    });
+  }
+
+  /**
+   * 读取当前来源localStorage中旧版本保存的共享存储记录，无法解析的记录跳过
+   * @returns {Array<Object>} 记录数组，每项包含siteName、data和source
+   */
+  function loadLegacyLocalRecords() {
+    var records = [];
+    var keys = [];
+    try {
+      keys = Object.keys(localStorage);
+    } catch (err) {
+      // 静默处理错误
+    }
+
+    keys.forEach(function(key) {
+      if (key.indexOf(`site_${SHARED_PREFIX}`) !== 0) return;
+      try {
+        records.push({
+          siteName: key.slice('site_'.length),
+          data: JSON.parse(localStorage.getItem(key)) || {},
+          source: 'localStorage'
+        });
+      } catch (err) {
+        console.error("无法解析旧的共享存储" + key + ":", err);
+      }
+    });
+    return records;
+  }
+
+  /**
+   * 合并到扩展存储后，从当前来源删除一条旧的共享存储记录
+   * @param {Object} record - 旧记录，包含siteName、data和source
+   * @returns {Promise<void>}
+   */
+  function removeLegacyRecord(record) {
+    if (record.source === 'localStorage') {
+      localStorage.removeItem(`site_${record.siteName}`);
+      return Promise.resolve();
+    }
+    return runTransaction(function(store) {
+      store.delete(record.siteName);
+    }).then(function() {});
+  }
+
+  /**
+   * 将当前来源中旧版本保存的共享存储迁移到扩展存储，每个来源只迁移一次
+   * 旧版本的共享存储与站点存储一样保存在网页所在来源中，不同站点互相看不到
+   * 合并由后台的storage.mergeShared动作依次执行，扩展存储中已有的字段优先；后台同时在扩展存储中记录该来源已迁移，
+   * 不在网页的存储中留下标记。只在顶层页面迁移，子框架中的来源在作为顶层页面打开时迁移
+   * @returns {Promise<void>} 迁移结束时resolve，合并失败时不标记完成，下次加载页面重试
+   */
+  function migrateSharedStorage() {
+    if (!checkStorageAvailability().chromeStorage || window.top !== window || !window.MessageBus) {
+      return Promise.resolve();
+    }
+
+    var records;
+    return chromeStorageGet(MIGRATED_ORIGINS_KEY).then(function(origins) {
+      if (origins && origins[window.location.origin]) return;
+
+      return loadLegacyDbRecords().then(function(dbRecords) {
+        records = dbRecords.concat(loadLegacyLocalRecords());
+        return window.MessageBus.call('storage.mergeShared', {
+          records: records.map(function(record) {
+            return { name: record.siteName, data: record.data };
+          })
+        });
+      }).then(function() {
+        return Promise.all(records.map(function(record) {
+          console.log("已迁移共享存储: " + record.siteName);
+          return removeLegacyRecord(record);
+        }));
+      });
+    }).catch(function(error) {
+      console.error("迁移共享存储失败:", error);
+    });
+  }
+
+  /**
+   * 其他页面修改共享存储后，同步更新本页面已获取的共享存储对象
+   * 本页面有未保存的修改时不更新，以本页面之后的写入为准
+   * @param {Object} changes - chrome.storage.onChanged的变化
+   * @param {string} areaName - 存储区域
+   */
+  function syncSharedChanges(changes, areaName) {
+    if (areaName !== 'local') return;
+
+    Object.keys(changes).forEach(function(key) {
+      var siteName = key.slice('site_'.length);
+      if (key.indexOf('site_') !== 0 || !isShared(siteName)) return;
+
+      var state = stateMap.get(siteName);
+      if (!state || state.dirty) return;
+
+      Object.keys(state.cache).forEach(function(prop) {
+        delete state.cache[prop];
+      });
+      Object.assign(state.cache, changes[key].newValue);
+    });
+  }
+
+  /**
+   * 通知存储写入失败，同时输出到控制台
+   * @param {string} siteName - 站点名称
+   * @param {Error} error - 写入错误
+   */
+  function reportError(siteName, error) {
+    console.error("保存存储" + siteName + "失败:", error);
+
+    errorListeners.forEach(function(listener) {
+      try {
+        listener(error, siteName);
+      } catch (err) {
+        console.error("执行存储错误回调时发生错误:", err);
+      }
+    });
+  }
+
+  /**
+   * 监听存储写入失败
+   * @param {Function} callback - 回调函数，接收(error, siteName)
+   * @returns {Function} 取消监听的函数
+   */
+  function onError(callback) {
+    errorListeners.push(callback);
+    return function() {
+      errorListeners = errorListeners.filter(function(listener) {
+        return listener !== callback;
+      });
+    };
+  }
+
+  /**
+   * 标记存储有未保存的修改，延迟WRITE_DELAY后合并写入
+   * @param {string} siteName - 站点名称
+   */
+  function scheduleWrite(siteName) {
+    var state = stateMap.get(siteName);
+    state.dirty = true;
+    if (state.timer) return;
+
+    state.timer = setTimeout(function() {
+      state.timer = null;
+      flush(siteName).catch(function() {
+        // 已通过reportError通知
+      });
+    }, WRITE_DELAY);
+  }
+
+  /**
+   * 记录共享存储中修改过的字段，写入时只提交这些字段；站点存储整条写入，不需要记录
+   * @param {string} siteName - 存储名称
+   * @param {string} prop - 字段名
+   */
+  function markChanged(siteName, prop) {
+    if (isShared(siteName)) {
+      stateMap.get(siteName).changedProps[prop] = true;
+    }
+  }
+
+  /**
+   * 取出共享存储待写入的修改，并清空修改记录
+   * @param {Object} state - 存储状态
+   * @returns {Object} 包含changes(修改的字段，值为null表示删除)和replace(是否整体替换)
+   */
+  function takeSharedChanges(state) {
+    var changes = {};
+    var props = state.replaceAll ? Object.keys(state.cache) : Object.keys(state.changedProps);
+    props.forEach(function(prop) {
+      changes[prop] = prop in state.cache ? state.cache[prop] : null;
+    });
+
+    var patch = { changes: changes, replace: state.replaceAll };
+    state.changedProps = {};
+    state.replaceAll = false;
+    return patch;
+  }
+
+  /**
+   * 立即写入存储中未保存的修改，写入按顺序进行
+   * 站点存储写入整条记录；共享存储只提交修改过的字段，由后台合并到最新数据中
+   * 写入失败时保留未保存状态，下次flush或修改时重试
+   * @param {string} siteName - 站点名称
+   * @returns {Promise<void>} 所有修改写入完成时resolve，写入失败时reject
+   */
+  function flush(siteName) {
+    var state = stateMap.get(siteName);
+    if (state.timer) {
+      clearTimeout(state.timer);
+      state.timer = null;
+    }
+    if (!state.dirty) {
+      return state.writing;
+    }
+
+    state.dirty = false;
+    var shared = isShared(siteName);
+    var data = shared ? takeSharedChanges(state) : Object.assign({}, state.cache);
+
+    // 等待上一次写入结束，避免旧数据覆盖新数据
+    state.writing = state.writing.catch(function() {}).then(function() {
+      return shared ? saveSharedChanges(siteName, data) : saveData(siteName, data);
+    }).then(function() {
+      state.lastError = null;
+    }, function(error) {
+      state.lastError = error;
+      state.dirty = true;
+      if (shared) {
+        // 未写入的字段在下次写入时重新提交
+        Object.keys(data.changes).forEach(function(prop) {
+          markChanged(siteName, prop);
+        });
+        state.replaceAll = state.replaceAll || data.replace;
+      }
+      reportError(siteName, error);
+      throw error;
+    });
+
+    var writing = state.writing;
+    state.waiters.splice(0).forEach(function(waiter) {
+      writing.then(waiter.resolve, waiter.reject);
+    });
+    return writing;
+  }
+
+  /**
+   * 等待已做的修改写入完成，不提前写入延迟中的修改
+   * @param {string} siteName - 站点名称
+   * @returns {Promise<void>} 所有修改写入完成时resolve，写入失败时reject
+   */
+  function waitForWrites(siteName) {
+    var state = stateMap.get(siteName);
+    if (!state.timer) {
+      return state.writing;
+    }
+
+    return new Promise(function(resolve, reject) {
+      state.waiters.push({ resolve: resolve, reject: reject });
+    });
+  }
+
   /**
    * 获取指定站点的存储对象
+   * 修改在WRITE_DELAY内合并为一次写入，除数据字段外，存储对象还提供：
+   * - $flush(): 立即写入未保存的修改，返回写入完成时resolve的Promise
+   * - $ready: 已做的修改全部写入时resolve、写入失败时reject的Promise，每次读取都反映当前的写入状态，不会提前写入
+   * - $lastError: 最近一次写入的错误，写入成功后为null
    * @param {string} siteName - 站点名称
    * @returns {Promise<Object>} 存储代理对象
    */
   function getStorage(siteName) {
     console.log("获取存储: " + siteName);
     
-    // 已存在则直接返回
+    // 已存在则返回同一个对象，加载中时等待加载完成
     if (storageMap.has(siteName)) {
-      return Promise.resolve(storageMap.get(siteName));
+      return storageMap.get(siteName);
     }
     
-    // 内存缓存
-    var memoryCache = {};
-    var hasDeletedProps = false;
+    // 内存缓存及写入状态
+    var state = {
+      cache: {},
+      timer: null,
+      dirty: false,
+      writing: Promise.resolve(),
+      lastError: null,
+      // 等待延迟写入完成的$ready调用
+      waiters: [],
+      // 共享存储中修改过的字段及是否需要整体替换
+      changedProps: {},
+      replaceAll: false
+    };
+    stateMap.set(siteName, state);
+
+    var methods = {
+      $flush: function() {
+        return flush(siteName);
+      }
+    };
     
     // 创建代理对象
     var handler = {
       get: function(target, prop) {
-        return memoryCache[prop];
+        if (prop === '$flush') return methods.$flush;
+        if (prop === '$ready') return waitForWrites(siteName);
+        if (prop === '$lastError') return state.lastError;
+        return state.cache[prop];
       },
       
       set: function(target, prop, value) {
+        if (RESERVED_PROPS.indexOf(prop) !== -1) {
+          return false;
+        }
+
         if (value === null || value === undefined) {
-          // 标记删除属性并保存
-          delete memoryCache[prop];
-          hasDeletedProps = true;
-          saveData(siteName, memoryCache);
-          return true;
+          // 删除属性
+          delete state.cache[prop];
         } else {
-          memoryCache[prop] = value;
-          
-          // 自动保存
-          saveData(siteName, memoryCache);
-          return true;
+          state.cache[prop] = value;
         }
+        markChanged(siteName, prop);
+
+        // 合并后自动保存
+        scheduleWrite(siteName);
+        return true;
       },
       
       deleteProperty: function(target, prop) {
-        if (prop in memoryCache) {
-          delete memoryCache[prop];
-          hasDeletedProps = true;
-          
-          // 如果删除后对象为空，则彻底删除存储项
-          if (Object.keys(memoryCache).length === 0) {
-            deleteData(siteName);
-          } else {
-            saveData(siteName, memoryCache);
-          }
+        if (prop in state.cache) {
+          delete state.cache[prop];
+          markChanged(siteName, prop);
+          // 删除后对象为空时，保存时会彻底删除存储项
+          scheduleWrite(siteName);
           return true;
         }
         return false;
@@ -285,17 +710,18 @@
     };
     
     var proxy = new Proxy({}, handler);
-    storageMap.set(siteName, proxy);
     
     // 加载数据并返回
-    return loadData(siteName).then(function(data) {
-      Object.assign(memoryCache, data);
+    var ready = loadData(siteName).then(function(data) {
+      Object.assign(state.cache, data);
       return proxy;
     });
+    storageMap.set(siteName, ready);
+    return ready;
   }
 
   /**
-   * 获取共享存储对象
+   * 获取共享存储对象，数据保存在扩展存储中，所有站点读写同一份数据
    * @param {string} namespace - 命名空间，必须提供
    * @returns {Promise<Object>} 共享存储对象
    * @throws {Error} 如果未提供命名空间则抛出错误
@@ -305,16 +731,145 @@
       throw new Error("必须提供命名空间参数");
     }
     
-    // 使用特殊前缀处理共享存储
-    var storageId = 'shared_' + namespace;
+    // 使用特殊前缀处理共享存储，读写时保存到扩展存储
+    var storageId = SHARED_PREFIX + namespace;
     
     // 转给普通存储处理，但使用特殊标识
     return getStorage(storageId);
   }
 
+  /**
+   * 列出当前页面可访问的所有存储名称，共享存储的名称带"shared_"前缀
+   * @returns {Promise<Array<string>>} 存储名称数组
+   */
+  function listStorageNames() {
+    // 已获取的存储可能尚未写入，只列出有数据的
+    var names = {};
+    stateMap.forEach(function(state, siteName) {
+      if (Object.keys(state.cache).length > 0) {
+        names[siteName] = true;
+      }
+    });
+
+    var dbNames = dbPromise.then(function(isDbReady) {
+      if (!isDbReady || !dbConnection) return [];
+
+      return new Promise(function(resolve) {
+        try {
+          var transaction = dbConnection.transaction([STORE_NAME], 'readonly');
+          var request = transaction.objectStore(STORE_NAME).getAllKeys();
+          request.onsuccess = function(event) {
+            resolve(event.target.result || []);
+          };
+          request.onerror = function() {
+            resolve([]);
+          };
+        } catch (error) {
+          resolve([]);
+        }
+      });
+    });
+
+    var fallbackNames = new Promise(function(resolve) {
+      var availability = checkStorageAvailability();
+      var keys = [];
+
+      if (availability.localStorage) {
+        try {
+          keys = Object.keys(localStorage);
+        } catch (err) {
+          // 静默处理错误
+        }
+      }
+
+      if (availability.chromeStorage) {
+        chrome.storage.local.get(null, function(result) {
+          resolve(keys.concat(Object.keys(result || {})));
+        });
+      } else {
+        resolve(keys);
+      }
+    }).then(function(keys) {
+      return keys.filter(function(key) {
+        return key.indexOf('site_') === 0;
+      }).map(function(key) {
+        return key.slice('site_'.length);
+      });
+    });
+
+    return Promise.all([dbNames, fallbackNames]).then(function(results) {
+      results[0].concat(results[1]).forEach(function(siteName) {
+        names[siteName] = true;
+      });
+      return Object.keys(names).sort();
+    });
+  }
+
+  /**
+   * 读取存储中的全部数据
+   * @param {string} siteName - 存储名称，共享存储为"shared_"加命名空间
+   * @returns {Promise<Object>} 数据的副本
+   */
+  function exportStorage(siteName) {
+    return getStorage(siteName).then(function() {
+      return Object.assign({}, stateMap.get(siteName).cache);
+    });
+  }
+
+  /**
+   * 用给定数据整体替换存储的内容，已获取的存储对象同步更新；数据为空对象时删除该存储
+   * @param {string} siteName - 存储名称，共享存储为"shared_"加命名空间
+   * @param {Object} data - 新的数据
+   * @returns {Promise<void>} 写入完成时resolve
+   */
+  function replaceStorage(siteName, data) {
+    return getStorage(siteName).then(function() {
+      var state = stateMap.get(siteName);
+      var memoryCache = state.cache;
+      Object.keys(memoryCache).forEach(function(key) {
+        delete memoryCache[key];
+      });
+      Object.assign(memoryCache, data);
+      state.replaceAll = isShared(siteName);
+
+      scheduleWrite(siteName);
+      return flush(siteName);
+    });
+  }
+
+  /**
+   * 清空存储
+   * @param {string} siteName - 存储名称，共享存储为"shared_"加命名空间
+   * @returns {Promise<void>} 写入完成时resolve
+   */
+  function clearStorage(siteName) {
+    return replaceStorage(siteName, {});
+  }
+
+  // 页面关闭或进入后台缓存前，写入所有未保存的修改
+  window.addEventListener('pagehide', function() {
+    stateMap.forEach(function(state, siteName) {
+      if (state.dirty) {
+        flush(siteName).catch(function() {
+          // 已通过reportError通知
+        });
+      }
+    });
+  });
+
+  // 其他页面修改共享存储时同步
+  if (checkStorageAvailability().chromeStorage && chrome.storage.onChanged) {
+    chrome.storage.onChanged.addListener(syncSharedChanges);
+  }
+
   // 导出API
   window.StorageManager = {
     getStorage: getStorage,
-    getSharedStorage: getSharedStorage
+    getSharedStorage: getSharedStorage,
+    onError: onError,
+    listStorageNames: listStorageNames,
+    exportStorage: exportStorage,
+    replaceStorage: replaceStorage,
+    clearStorage: clearStorage
   };
 })();
\ No newline at end of file
@@ -0,0 +1,131 @@
+/**
+ * @fileoverview 跨标签页事件模块，经由后台在不同标签页的站点处理函数之间发布和订阅事件
+ * 订阅记录保存在后台，按站点和主题筛选，标签页关闭或刷新时自动清理
+ * @namespace TabEvents
+ */
+
+(function() {
+  /**
+   * 订阅所有主题时使用的通配符
+   * @type {string}
+   */
+  var ANY_TOPIC = '*';
+
+  /**
+   * 当前框架的订阅，键为订阅ID
+   * @type {Object<string, {topic: string, site: string|null, callback: Function}>}
+   */
+  var subscriptions = {};
+
+  /**
+   * 生成订阅ID的计数器
+   * @type {number}
+   */
+  var nextId = 1;
+
+  /**
+   * 向其他标签页发布事件
+   * @param {string} topic - 事件主题，如"order.opened"
+   * @param {*} [data] - 事件数据，必须可序列化
+   * @param {Object} [options] - 配置选项
+   * @param {string} [options.site] - 事件所属站点名称，供订阅方按站点筛选
+   * @param {boolean} [options.includeSelf=false] - 是否同时发给当前标签页中的订阅
+   * @returns {Promise<number>} 收到事件的订阅数
+   */
+  function publish(topic, data, options) {
+    if (typeof topic !== 'string' || !topic || topic === ANY_TOPIC) {
+      return Promise.reject(new Error('事件主题必须是非空字符串且不能为"' + ANY_TOPIC + '"'));
+    }
+
+    options = Object.assign({
+      site: null,
+      includeSelf: false
+    }, options);
+
+    return window.MessageBus.call('tabEvents.publish', {
+      topic: topic,
+      site: options.site,
+      data: data,
+      includeSelf: options.includeSelf
+    });
+  }
+
+  /**
+   * 订阅其他标签页发布的事件
+   * @param {string} topic - 事件主题，"*"表示所有主题
+   * @param {Function} callback - 回调函数，接收(data, meta)，meta包含topic、site、tabId、frameId、url和timestamp
+   * @param {Object} [options] - 配置选项
+   * @param {string} [options.site] - 只接收该站点发布的事件，不设置时接收所有站点
+   * @returns {Function} 取消订阅的函数，可直接传给pageInfo.track
+   */
+  function subscribe(topic, callback, options) {
+    if (typeof topic !== 'string' || !topic) {
+      throw new Error('事件主题必须是非空字符串');
+    }
+    if (typeof callback !== 'function') {
+      throw new Error('订阅回调必须是函数');
+    }
+
+    options = Object.assign({
+      site: null
+    }, options);
+
+    var id = String(nextId++);
+    subscriptions[id] = {
+      topic: topic,
+      site: options.site,
+      callback: callback
+    };
+
+    window.MessageBus.call('tabEvents.subscribe', {
+      id: id,
+      topic: topic,
+      site: options.site
+    }).catch(function(error) {
+      console.error("订阅跨标签页事件失败:", error);
+    });
+
+    return function() {
+      if (!subscriptions[id]) return;
+
+      delete subscriptions[id];
+      window.MessageBus.call('tabEvents.unsubscribe', { id: id }).catch(function() {
+        // 后台会在标签页关闭时清理，取消失败可以忽略
+      });
+    };
+  }
+
+  /**
+   * 执行后台投递的事件对应的订阅回调
+   * @private
+   * @param {Object} message - 投递的消息，包含ids、data和meta
+   * @returns {number} 实际执行的回调数
+   */
+  function deliver(message) {
+    var count = 0;
+
+    message.ids.forEach(function(id) {
+      var subscription = subscriptions[id];
+      if (!subscription) return;
+
+      count++;
+      try {
+        subscription.callback(message.data, message.meta);
+      } catch (error) {
+        console.error("执行跨标签页事件回调时发生错误:", error);
+      }
+    });
+
+    return count;
+  }
+
+  // 接收后台投递的事件
+  window.MessageBus.register('tabEvents.deliver', deliver);
+
+  // 将跨标签页事件功能导出到全局命名空间
+  window.TabEvents = {
+    ANY_TOPIC: ANY_TOPIC,
+    publish: publish,
+    subscribe: subscribe
+  };
+})();
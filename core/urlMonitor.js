@@ -1,47 +1,211 @@
 /**
  * @fileoverview URL监控模块，负责检测页面URL变化，包括单页应用中的变化
+ * 监听在首次订阅时安装且只安装一次，所有订阅共用
+ * 内容脚本运行在隔离环境中，页面脚本调用的history方法优先通过Navigation API检测，
+ * 不支持时注入页面环境钩子(urlMonitorPage.js)，注入失败时只能检测到popstate、hashchange和隔离环境中的调用
  */
 
 (function() {
   /**
-   * 初始化URL监控
-   * @param {Function} onUrlChange - URL变化时的回调函数
-   * @param {boolean} [checkImmediately=false] - 是否立即执行一次URL检查
+   * 页面环境钩子发出的事件名称，与urlMonitorPage.js一致
+   * @type {string}
    */
-  function initUrlMonitor(onUrlChange, checkImmediately) {
-    console.log("初始化URL监控");
-    
-    // 设置默认值
-    checkImmediately = checkImmediately !== undefined ? checkImmediately : false;
-    
+  var PAGE_HOOK_EVENT = 'officeAssistant:urlchange';
+
+  /**
+   * Navigation API的导航类型与变化类型的对应关系
+   * @type {Object<string, string>}
+   */
+  var NAVIGATION_TYPES = {
+    push: 'push',
+    replace: 'replace',
+    traverse: 'pop',
+    reload: 'reload'
+  };
+
+  /**
+   * 当前的订阅回调
+   * @type {Array<Function>}
+   */
+  var subscribers = [];
+
+  /**
+   * 最近一次通知时的URL，用于判断URL是否真的变化
+   * @type {string}
+   */
+  var lastUrl = window.location.href;
+
+  /**
+   * history补丁和popstate监听是否已安装
+   * @type {boolean}
+   */
+  var installed = false;
+
+  /**
+   * 去掉URL中的hash部分
+   * @private
+   * @param {string} url - URL
+   * @returns {string} 不含hash的URL
+   */
+  function stripHash(url) {
+    var index = url.indexOf('#');
+    return index === -1 ? url : url.slice(0, index);
+  }
+
+  /**
+   * 检查当前URL，与上次通知时不同则通知所有订阅
+   * @private
+   * @param {string} type - 变化类型，前进后退只改变hash时记为"hash"
+   */
+  function notify(type) {
+    var to = window.location.href;
+    var from = lastUrl;
+    if (to === from) return;
+
+    lastUrl = to;
+    if (type === 'pop' && stripHash(from) === stripHash(to)) {
+      type = 'hash';
+    }
+
+    var change = { from: from, to: to, type: type };
+    subscribers.slice().forEach(function(callback) {
+      try {
+        callback(change);
+      } catch (error) {
+        console.error("执行URL变化回调时发生错误:", error);
+      }
+    });
+  }
+
+  /**
+   * 通过Navigation API检测同一文档内的所有导航，包括页面脚本的history调用
+   * @private
+   * @returns {boolean} 浏览器是否支持Navigation API
+   */
+  function watchNavigation() {
+    var navigation = window.navigation;
+    if (!navigation || typeof navigation.addEventListener !== 'function') {
+      return false;
+    }
+
+    // navigate事件先于currententrychange触发，记录本次是否为hash导航(锚点链接、修改location.hash)
+    var hashNavigation = false;
+    navigation.addEventListener('navigate', function(event) {
+      hashNavigation = !!event.hashChange;
+    });
+
+    // 导航被取消或拦截后失败时不会触发currententrychange，结束时清除记录，避免误判下一次导航
+    function resetHashNavigation() {
+      hashNavigation = false;
+    }
+    navigation.addEventListener('navigatesuccess', resetHashNavigation);
+    navigation.addEventListener('navigateerror', resetHashNavigation);
+
+    navigation.addEventListener('currententrychange', function(event) {
+      var type = hashNavigation ? 'hash' : (NAVIGATION_TYPES[event.navigationType] || 'push');
+      hashNavigation = false;
+      notify(type);
+    });
+    return true;
+  }
+
+  /**
+   * 请求后台向页面环境注入history钩子，注入失败时忽略
+   * @private
+   */
+  function injectPageHook() {
+    window.addEventListener(PAGE_HOOK_EVENT, function(event) {
+      notify(event.detail === 'replace' ? 'replace' : 'push');
+    });
+
+    window.MessageBus.call('urlMonitor.injectPageHook').catch(function(error) {
+      console.log("无法注入URL监控的页面环境钩子，页面脚本的history调用依赖后台导航事件检测: " + error.message);
+    });
+  }
+
+  /**
+   * 安装URL变化的监听，重复调用不会重复安装
+   * @private
+   */
+  function install() {
+    if (installed) return;
+    installed = true;
+
+    if (!watchNavigation()) {
+      injectPageHook();
+    }
+
     var originalPushState = history.pushState;
     var originalReplaceState = history.replaceState;
 
     // 重写history.pushState方法以捕获URL变化
     history.pushState = function() {
-      originalPushState.apply(this, arguments);
-      onUrlChange(window.location.href);
+      var result = originalPushState.apply(this, arguments);
+      notify('push');
+      return result;
     };
 
     // 重写history.replaceState方法以捕获URL变化
     history.replaceState = function() {
-      originalReplaceState.apply(this, arguments);
-      onUrlChange(window.location.href);
+      var result = originalReplaceState.apply(this, arguments);
+      notify('replace');
+      return result;
     };
 
     // 监听popstate事件以捕获浏览器前进/后退操作
     window.addEventListener('popstate', function() {
-      onUrlChange(window.location.href);
+      notify('pop');
+    });
+
+    // 监听hashchange事件以捕获hash路由的变化
+    window.addEventListener('hashchange', function() {
+      notify('hash');
     });
-    
-    // 如果需要立即检查当前URL
-    if (checkImmediately) {
-      onUrlChange(window.location.href);
+  }
+
+  /**
+   * 订阅URL变化，URL没有实际变化的history调用不会通知
+   * @param {Function} callback - 回调函数，接收{from, to, type}，type为"push"、"replace"、"pop"、"hash"或"reload"
+   * @param {Object} [options] - 配置选项
+   * @param {boolean} [options.immediate=false] - 是否立即以当前URL回调一次，此时from为null，type为"reload"
+   * @returns {Function} 取消订阅的函数
+   */
+  function subscribe(callback, options) {
+    if (typeof callback !== 'function') {
+      throw new Error('URL变化回调必须是函数');
     }
+
+    install();
+    subscribers.push(callback);
+
+    if (options && options.immediate) {
+      callback({ from: null, to: window.location.href, type: 'reload' });
+    }
+
+    return function() {
+      subscribers = subscribers.filter(function(subscriber) {
+        return subscriber !== callback;
+      });
+    };
+  }
+
+  /**
+   * 初始化URL监控，保留用于兼容，新代码请使用subscribe
+   * @param {Function} onUrlChange - URL变化时的回调函数，参数为当前URL
+   * @param {boolean} [checkImmediately=false] - 是否立即执行一次URL检查
+   * @returns {Function} 取消监控的函数
+   */
+  function initUrlMonitor(onUrlChange, checkImmediately) {
+    console.log("初始化URL监控");
+
+    return subscribe(function(change) {
+      onUrlChange(change.to);
+    }, { immediate: !!checkImmediately });
   }
 
   // 将URL监控功能导出到全局命名空间
   window.UrlMonitor = {
+    subscribe: subscribe,
     initUrlMonitor: initUrlMonitor
   };
-})();
\ No newline at end of file
+})();
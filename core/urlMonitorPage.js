@@ -0,0 +1,36 @@
+/**
+ * @fileoverview URL监控的页面环境钩子，在不支持Navigation API的浏览器中由urlMonitor.js请求后台通过scripting注入到页面自身的脚本环境(MAIN world)
+ * 内容脚本运行在隔离环境中，无法捕获页面脚本调用的history.pushState/replaceState，
+ * 这里在页面环境中重写这两个方法，调用后通过window事件通知内容脚本
+ */
+
+(function() {
+  /**
+   * 通知内容脚本的事件名称，与urlMonitor.js一致
+   * @type {string}
+   */
+  var EVENT_NAME = 'officeAssistant:urlchange';
+
+  // 扩展重新加载后会再次注入，避免重复重写
+  if (history.pushState.__officeAssistantHooked) return;
+
+  /**
+   * 重写history方法，调用原方法后发出通知
+   * @param {string} method - 方法名
+   * @param {string} type - 通知的变化类型
+   */
+  function hook(method, type) {
+    var original = history[method];
+
+    history[method] = function() {
+      var result = original.apply(this, arguments);
+      // detail只传字符串，跨脚本环境传递对象会丢失
+      window.dispatchEvent(new CustomEvent(EVENT_NAME, { detail: type }));
+      return result;
+    };
+    history[method].__officeAssistantHooked = true;
+  }
+
+  hook('pushState', 'push');
+  hook('replaceState', 'replace');
+})();
@@ -14,18 +14,20 @@
    * @param {boolean} [options.childList=true] - 是否观察子节点变化
    * @param {boolean} [options.attributes=true] - 是否观察属性变化
    * @param {boolean} [options.characterData=true] - 是否观察节点内容变化
-   * @param {boolean} [options.checkUrlChange=true] - 是否在URL变化时取消等待
-   * @returns {Promise<void>} 当DOM稳定时resolved的Promise，超时或URL变化时rejected
+   * @param {boolean} [options.checkUrlChange=true] - 是否在URL变化时取消等待，取消时以AbortError拒绝Promise
+   * @param {AbortSignal} [options.signal] - 中止信号，触发时以AbortError拒绝Promise
+   * @returns {Promise<void>} 当DOM稳定时resolved的Promise，超时、URL变化或中止时rejected
    */
-  function waitForDOMStable(waitTime = 3000, timeout = 30000, options = {
-    target: document.body,
-    subtree: true,
-    childList: true,
-    attributes: true,
-    characterData: true,
-    checkUrlChange: true
-  }) {
+  function waitForDOMStable(waitTime = 3000, timeout = 30000, options = {}) {
     console.log("开始等待页面稳定");
+    options = Object.assign({
+      target: document.body,
+      subtree: true,
+      childList: true,
+      attributes: true,
+      characterData: true,
+      checkUrlChange: true
+    }, options);
     return new Promise(function(resolve, reject) {
       // 解构配置选项
       var target = options.target;
@@ -34,12 +36,18 @@
       var attributes = options.attributes;
       var characterData = options.characterData;
       var checkUrlChange = options.checkUrlChange;
+      var signal = options.signal;
       
       // 检查目标节点
       if (!target) {
         return reject(new Error('目标节点不存在'));
       }
       
+      // 已中止则直接拒绝
+      if (signal && signal.aborted) {
+        return reject(createAbortError());
+      }
+      
       // 标记状态变量
       var done = false;
       var initialUrl = checkUrlChange ? window.location.href : null;
@@ -60,6 +68,19 @@
         if (timeoutTimer) {
           clearTimeout(timeoutTimer);
         }
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
+        }
+      }
+      
+      // 中止时取消等待
+      function onAbort() {
+        if (done) {
+          return;
+        }
+        done = true;
+        cleanup();
+        reject(createAbortError());
       }
       
       // 设置稳定计时器函数
@@ -74,7 +95,7 @@
           if (checkUrlChange && window.location.href !== initialUrl) {
             done = true;
             cleanup();
-            reject(new Error('页面URL已变化，取消DOM稳定等待'));
+            reject(createAbortError('页面URL已变化，取消DOM稳定等待'));
             return;
           }
           
@@ -110,6 +131,11 @@
         reject(new Error('等待DOM稳定超时(' + timeout + 'ms)'));
       }, timeout);
       
+      // 监听中止信号
+      if (signal) {
+        signal.addEventListener('abort', onAbort);
+      }
+      
       // 开始观察DOM变化
       observer.observe(target, {
         subtree: subtree,
@@ -128,19 +154,27 @@
    * @param {string} selector - 要等待的元素的CSS选择器
    * @param {number} [timeout=10000] - 等待超时时间(毫秒),默认10000ms
    * @param {Object} [options] - 配置选项
-   * @param {boolean} [options.checkUrlChange=true] - 是否在URL变化时取消等待
+   * @param {boolean} [options.checkUrlChange=true] - 是否在URL变化时取消等待，取消时以AbortError拒绝Promise
    * @param {Node} [options.root=document] - 要观察的根节点
+   * @param {AbortSignal} [options.signal] - 中止信号，触发时以AbortError拒绝Promise
    * @returns {Promise<Element>} 返回找到的元素
    */
-  function waitForElement(selector, timeout = 10000, options = {
-    checkUrlChange: true,
-    root: document
-  }) {
+  function waitForElement(selector, timeout = 10000, options = {}) {
     console.log("开始等待元素出现");
+    options = Object.assign({
+      checkUrlChange: true,
+      root: document
+    }, options);
     return new Promise(function(resolve, reject) {
       // 解构配置选项
       var checkUrlChange = options.checkUrlChange;
       var root = options.root || document;
+      var signal = options.signal;
+      
+      // 已中止则直接拒绝
+      if (signal && signal.aborted) {
+        return reject(createAbortError());
+      }
       
       // 初始URL
       var initialUrl = checkUrlChange ? window.location.href : null;
@@ -163,6 +197,17 @@
         if (timeoutTimer) {
           clearTimeout(timeoutTimer);
         }
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
+        }
+      }
+      
+      // 中止时取消等待
+      function onAbort() {
+        if (done) return;
+        done = true;
+        cleanup();
+        reject(createAbortError());
       }
       
       // 创建MutationObserver
@@ -172,7 +217,7 @@
           if (done) return;
           done = true;
           cleanup();
-          reject(new Error('页面URL已变化，取消等待元素'));
+          reject(createAbortError('页面URL已变化，取消等待元素'));
           return;
         }
         
@@ -194,6 +239,11 @@
         reject(new Error('等待元素(' + selector + ')超时(' + timeout + 'ms)'));
       }, timeout);
       
+      // 监听中止信号
+      if (signal) {
+        signal.addEventListener('abort', onAbort);
+      }
+      
       // 开始观察DOM变化
       observer.observe(root, {
         childList: true,
@@ -210,6 +260,7 @@
    * @param {boolean} [options.useMutationObserver=true] - 是否使用MutationObserver来提高性能
    * @param {number} [options.stableTime=100] - 元素需要稳定存在的时间(毫秒)，默认为0表示立即触发
    * @param {Node} [options.root=document] - 要观察的根节点
+   * @param {AbortSignal} [options.signal] - 中止信号，触发时自动停止监控
    * @returns {Object} 返回监听器对象，包含onAppear、onDisappear和stop方法
    */
   function createElementMonitor(selector, options = {
@@ -224,6 +275,7 @@
     var useMutationObserver = options.useMutationObserver !== false;
     var stableTime = options.stableTime || 100;
     var root = options.root || document;
+    var signal = options.signal;
     
     // 状态变量
     var isElementPresent = false;
@@ -382,6 +434,10 @@
       disappearCallbacks = [];
       notFoundCallbacks = [];
       
+      if (signal) {
+        signal.removeEventListener('abort', stopMonitoring);
+      }
+      
       return monitor; // 支持链式调用
     }
     
@@ -436,8 +492,15 @@
       stop: stopMonitoring
     };
     
-    // 启动监控
-    startMonitoring();
+    // 启动监控，已中止时不再启动
+    if (!signal || !signal.aborted) {
+      startMonitoring();
+      
+      // 中止信号触发时自动停止
+      if (signal) {
+        signal.addEventListener('abort', stopMonitoring);
+      }
+    }
     
     // 返回监视器对象
     return monitor;
@@ -507,6 +570,16 @@
     });
   }
 
+  /**
+   * 创建表示操作被中止的错误，URL变化导致的取消同样视为中止
+   * @private
+   * @param {string} [message='操作已中止'] - 错误信息
+   * @returns {DOMException} name为AbortError的错误对象
+   */
+  function createAbortError(message) {
+    return new DOMException(message || '操作已中止', 'AbortError');
+  }
+
   // 将工具函数导出到全局命名空间
   window.Utils = {
     waitForDOMStable: waitForDOMStable,
@@ -0,0 +1,641 @@
+/**
+ * @fileoverview 扩展选项页，管理全局设置、站点和路由的启用状态、站点选项、StorageManager中的数据，查看和清空错误日志
+ * 站点配置通过加载siteManager.js和manifest中的站点文件获得，设置保存在SiteSettings中；
+ * 共享存储直接读写chrome.storage.local，保存在网页来源中的站点存储和只在页面中注册的快捷键通过已打开标签页中的内容脚本读写
+ */
+
+(function() {
+  /**
+   * 可在选项页中修改的全局配置，对应content.js中的CONFIG
+   * @type {Array<Object>}
+   */
+  var GLOBAL_FIELDS = [
+    { key: 'URL_PROCESS_DELAY', label: 'URL处理延迟(毫秒)' },
+    { key: 'URL_REPEAT_THRESHOLD', label: '重复URL防抖间隔(毫秒)' },
+    { key: 'RETRY_DELAY', label: '出错后首次重试延迟(毫秒)' },
+    { key: 'RETRY_BACKOFF', label: '每次重试延迟的倍数' }
+  ];
+
+  /**
+   * 站点文件所在目录，选项页只加载manifest中该目录下的内容脚本
+   * @type {string}
+   */
+  var SITE_SCRIPT_DIR = 'sites/';
+
+  /**
+   * 共享存储在chrome.storage.local中的键前缀，与StorageManager保存共享存储的位置相同
+   * @type {string}
+   */
+  var SHARED_STORAGE_PREFIX = 'site_shared_';
+
+  /**
+   * 错误日志在chrome.storage.local中的键，由后台的errorLog.*动作维护，在"错误日志"部分查看，不作为共享存储编辑
+   * @type {string}
+   */
+  var ERROR_LOG_KEY = 'site_shared_errorLog';
+
+  /**
+   * 提示信息自动隐藏的时间(毫秒)
+   */
+  var MESSAGE_DURATION = 3000;
+
+  /**
+   * 最近一次读取的站点设置
+   * @type {Object|null}
+   */
+  var currentSettings = null;
+
+  /**
+   * 隐藏提示信息的定时器
+   * @type {number|null}
+   */
+  var messageTimer = null;
+
+  /**
+   * 显示提示信息，一段时间后自动隐藏
+   * @param {string} text - 提示信息
+   */
+  function showMessage(text) {
+    var element = document.getElementById('message');
+    element.textContent = text;
+
+    clearTimeout(messageTimer);
+    messageTimer = setTimeout(function() {
+      element.textContent = '';
+    }, MESSAGE_DURATION);
+  }
+
+  /**
+   * 创建指定标签和文本的元素
+   * @param {string} tagName - 标签名
+   * @param {string} className - 类名
+   * @param {string} text - 文本内容
+   * @returns {HTMLElement} 创建的元素
+   */
+  function createElement(tagName, className, text) {
+    var element = document.createElement(tagName);
+    if (className) element.className = className;
+    if (text) element.textContent = text;
+    return element;
+  }
+
+  /**
+   * 创建按钮
+   * @param {string} text - 按钮文字
+   * @param {Function} onClick - 点击回调
+   * @param {string} [className] - 类名
+   * @returns {HTMLButtonElement} 按钮元素
+   */
+  function createButton(text, onClick, className) {
+    var button = createElement('button', className, text);
+    button.type = 'button';
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  /**
+   * 创建复选框
+   * @param {boolean} checked - 是否选中
+   * @param {Function} onChange - 变化回调，接收新的选中状态
+   * @returns {HTMLInputElement} 复选框元素
+   */
+  function createCheckbox(checked, onChange) {
+    var checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = checked;
+    checkbox.addEventListener('change', function() {
+      onChange(checkbox.checked);
+    });
+    return checkbox;
+  }
+
+  /**
+   * 保存设置并提示结果
+   * @param {Promise} promise - 保存操作
+   * @param {string} text - 成功时的提示信息
+   */
+  function reportSave(promise, text) {
+    promise.then(function() {
+      showMessage(text);
+    }, function(error) {
+      showMessage(error.message);
+    });
+  }
+
+  /**
+   * 按顺序加载manifest中声明的站点文件，获得与页面中相同的站点配置
+   * siteManager.js及其依赖由options.html直接引用，其余内容脚本不在选项页加载
+   * @returns {Promise<void>}
+   */
+  function loadSiteScripts() {
+    var scripts = [];
+    chrome.runtime.getManifest().content_scripts.forEach(function(entry) {
+      entry.js.forEach(function(path) {
+        if (path.indexOf(SITE_SCRIPT_DIR) === 0 && scripts.indexOf(path) === -1) {
+          scripts.push(path);
+        }
+      });
+    });
+
+    return scripts.reduce(function(previous, path) {
+      return previous.then(function() {
+        return new Promise(function(resolve) {
+          var script = document.createElement('script');
+          script.src = '/' + path;
+          script.onload = resolve;
+          script.onerror = function() {
+            console.error("加载脚本失败: " + path);
+            resolve();
+          };
+          document.head.appendChild(script);
+        });
+      });
+    }, Promise.resolve());
+  }
+
+  /**
+   * 渲染全局设置表单，留空表示使用content.js中的默认值
+   */
+  function renderGlobal() {
+    var container = document.getElementById('global');
+    container.innerHTML = '';
+
+    var inputs = {};
+    GLOBAL_FIELDS.forEach(function(field) {
+      var row = createElement('div', 'options-field');
+      row.appendChild(createElement('label', '', field.label));
+
+      var input = document.createElement('input');
+      input.type = 'number';
+      input.min = '0';
+      input.placeholder = '默认值';
+      var value = currentSettings.global[field.key];
+      input.value = typeof value === 'number' ? String(value) : '';
+      row.appendChild(input);
+
+      inputs[field.key] = input;
+      container.appendChild(row);
+    });
+
+    container.appendChild(createButton('保存全局设置', function() {
+      var values = {};
+      GLOBAL_FIELDS.forEach(function(field) {
+        var text = inputs[field.key].value.trim();
+        values[field.key] = text === '' ? null : Number(text);
+      });
+      reportSave(window.SiteSettings.setGlobal(values), '已保存全局设置，从下一次URL变化开始生效');
+    }));
+  }
+
+  /**
+   * 创建站点选项的输入控件
+   * @param {Object} option - 站点声明的选项
+   * @param {*} value - 当前取值
+   * @returns {HTMLInputElement} 输入控件
+   */
+  function createOptionInput(option, value) {
+    var input = document.createElement('input');
+    if (option.type === 'boolean') {
+      input.type = 'checkbox';
+      input.checked = value;
+    } else {
+      input.type = option.type === 'number' ? 'number' : 'text';
+      input.value = String(value);
+    }
+    return input;
+  }
+
+  /**
+   * 读取站点选项输入控件的取值
+   * @param {Object} option - 站点声明的选项
+   * @param {HTMLInputElement} input - 输入控件
+   * @returns {*} 取值，数字格式错误时返回null(恢复默认值)
+   */
+  function readOptionInput(option, input) {
+    if (option.type === 'boolean') {
+      return input.checked;
+    }
+    if (option.type === 'number') {
+      var number = parseFloat(input.value);
+      return isNaN(number) ? null : number;
+    }
+    return input.value;
+  }
+
+  /**
+   * 渲染单个站点的启用开关、路由列表和站点选项
+   * @param {Object} site - 站点配置
+   * @returns {HTMLElement} 站点卡片
+   */
+  function renderSite(site) {
+    var siteEnabled = window.SiteSettings.isSiteEnabled(currentSettings, site.name);
+    var card = createElement('div', 'options-card' + (siteEnabled ? '' : ' disabled'));
+
+    var title = createElement('h3', '', site.name);
+    var toggle = createElement('label', '');
+    toggle.appendChild(createCheckbox(siteEnabled, function(checked) {
+      reportSave(window.SiteSettings.setSiteEnabled(site.name, checked), (checked ? '已启用' : '已停用') + '站点' + site.name);
+    }));
+    toggle.appendChild(document.createTextNode(' 启用'));
+    title.appendChild(toggle);
+    card.appendChild(title);
+
+    var muted = window.SiteSettings.isNotificationMuted(currentSettings, site.name);
+    var mute = createElement('label', 'options-hint');
+    mute.appendChild(createCheckbox(muted, function(checked) {
+      reportSave(window.SiteSettings.setNotificationMuted(site.name, checked), (checked ? '已静音' : '已取消静音') + '站点' + site.name + '的通知');
+    }));
+    mute.appendChild(document.createTextNode(' 静音桌面通知'));
+    card.appendChild(mute);
+
+    var hosts = (site.url ? [site.url] : []).concat(site.hosts || []);
+    card.appendChild(createElement('div', 'options-hint', '主机: ' + hosts.join('、')));
+
+    var table = document.createElement('table');
+    var header = document.createElement('tr');
+    ['启用', '路径', 'matchType', '优先级', '框架'].forEach(function(text) {
+      header.appendChild(createElement('th', '', text));
+    });
+    table.appendChild(header);
+
+    site.routes.forEach(function(route) {
+      var row = document.createElement('tr');
+      var cell = document.createElement('td');
+      cell.appendChild(createCheckbox(window.SiteSettings.isRouteEnabled(currentSettings, site.name, route.path), function(checked) {
+        reportSave(window.SiteSettings.setRouteEnabled(site.name, route.path, checked), (checked ? '已启用' : '已停用') + '路由' + route.path);
+      }));
+      row.appendChild(cell);
+      row.appendChild(createElement('td', '', String(route.path)));
+      row.appendChild(createElement('td', '', route.matchType || '默认'));
+      row.appendChild(createElement('td', '', String(route.priority || 0)));
+      row.appendChild(createElement('td', '', route.frames || site.frames || 'top'));
+      table.appendChild(row);
+    });
+    card.appendChild(table);
+
+    var options = site.options || [];
+    var values = window.SiteManager.getSiteOptions(site.name);
+    var inputs = {};
+    options.forEach(function(option) {
+      var field = createElement('div', 'options-field');
+      var label = createElement('label', '', option.label || option.key);
+      if (option.description) {
+        label.title = option.description;
+      }
+      field.appendChild(label);
+
+      inputs[option.key] = createOptionInput(option, values[option.key]);
+      field.appendChild(inputs[option.key]);
+      card.appendChild(field);
+    });
+
+    var buttons = createElement('div', 'options-buttons');
+    if (options.length > 0) {
+      buttons.appendChild(createButton('保存站点选项', function() {
+        var newValues = {};
+        options.forEach(function(option) {
+          newValues[option.key] = readOptionInput(option, inputs[option.key]);
+        });
+        reportSave(window.SiteSettings.setSiteValues(site.name, newValues), '已保存站点' + site.name + '的选项');
+      }));
+    }
+    buttons.appendChild(createButton('重置站点设置', function() {
+      reportSave(window.SiteSettings.resetSite(site.name), '已重置站点' + site.name + '的设置');
+    }, 'options-danger'));
+    card.appendChild(buttons);
+
+    return card;
+  }
+
+  /**
+   * 渲染所有已注册的站点
+   */
+  function renderSites() {
+    var container = document.getElementById('sites');
+    container.innerHTML = '';
+
+    var sites = window.SiteManager.listSites();
+    sites.forEach(function(site) {
+      container.appendChild(renderSite(site));
+    });
+
+    if (sites.length === 0) {
+      container.appendChild(createElement('div', 'options-hint', '没有已注册的站点'));
+    }
+  }
+
+  /**
+   * 应用读取或变化后的站点设置并重新渲染
+   * @param {Object} settings - 站点设置
+   */
+  function applySettings(settings) {
+    currentSettings = settings;
+    window.SiteManager.applySettings(settings);
+    renderGlobal();
+    renderSites();
+  }
+
+  /**
+   * 列出可读取数据的网页标签页
+   */
+  function loadTabs() {
+    chrome.tabs.query({}, function(tabs) {
+      var select = document.getElementById('storage-tab');
+      select.innerHTML = '';
+
+      tabs.filter(function(tab) {
+        return /^https?:/.test(tab.url || '');
+      }).forEach(function(tab) {
+        var option = createElement('option', '', (tab.title || tab.url) + ' - ' + new URL(tab.url).origin);
+        option.value = String(tab.id);
+        select.appendChild(option);
+      });
+
+      if (!select.firstChild) {
+        var empty = createElement('option', '', '没有打开的网页');
+        empty.value = '';
+        select.appendChild(empty);
+      }
+    });
+  }
+
+  /**
+   * 获取选中的标签页ID
+   * @returns {number|null} 标签页ID
+   */
+  function getSelectedTabId() {
+    var value = document.getElementById('storage-tab').value;
+    return value ? Number(value) : null;
+  }
+
+  /**
+   * 渲染单条存储数据，可编辑JSON后保存或清空
+   * @param {string} label - 显示文字
+   * @param {Object} data - 存储数据
+   * @param {Function} save - 保存函数，接收新的数据对象，返回Promise
+   * @param {Function} clear - 清空函数，返回Promise
+   * @returns {HTMLElement} 存储卡片
+   */
+  function renderStorageRecord(label, data, save, clear) {
+    var card = createElement('div', 'options-card');
+    card.appendChild(createElement('h3', '', label));
+
+    var textarea = document.createElement('textarea');
+    textarea.value = JSON.stringify(data, null, 2);
+    card.appendChild(textarea);
+
+    var buttons = createElement('div', 'options-buttons');
+    buttons.appendChild(createButton('保存', function() {
+      var newData;
+      try {
+        newData = JSON.parse(textarea.value);
+      } catch (error) {
+        showMessage('JSON格式错误: ' + error.message);
+        return;
+      }
+      if (!newData || typeof newData !== 'object' || Array.isArray(newData)) {
+        showMessage('存储数据必须是JSON对象');
+        return;
+      }
+
+      reportSave(save(newData), '已保存' + label);
+    }));
+    buttons.appendChild(createButton('清空', function() {
+      if (!window.confirm('确定清空' + label + '吗？')) return;
+
+      clear().then(function() {
+        showMessage('已清空' + label);
+      }, function(error) {
+        showMessage(error.message);
+      });
+    }, 'options-danger'));
+    card.appendChild(buttons);
+
+    return card;
+  }
+
+  /**
+   * 读取chrome.storage.local中的全部数据
+   * @returns {Promise<Object>} 键值对
+   */
+  function readLocalStorage() {
+    return new Promise(function(resolve, reject) {
+      chrome.storage.local.get(null, function(items) {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+          return;
+        }
+        resolve(items);
+      });
+    });
+  }
+
+  /**
+   * 从chrome.storage.local读取并渲染所有共享存储，错误日志除外
+   * 保存和清空经后台的storage.updateShared动作，与页面中的写入在同一队列中依次执行；已打开页面中的StorageManager通过storage.onChanged同步
+   */
+  function loadSharedStorage() {
+    var container = document.getElementById('shared-storage');
+
+    readLocalStorage().then(function(items) {
+      container.innerHTML = '';
+
+      var keys = Object.keys(items).filter(function(key) {
+        return key.indexOf(SHARED_STORAGE_PREFIX) === 0 && key !== ERROR_LOG_KEY;
+      }).sort();
+
+      keys.forEach(function(key) {
+        var name = key.slice('site_'.length);
+        var label = '共享存储: ' + key.slice(SHARED_STORAGE_PREFIX.length);
+        container.appendChild(renderStorageRecord(label, items[key], function(data) {
+          return MessageBus.call('storage.updateShared', { name: name, changes: data, replace: true });
+        }, function() {
+          return MessageBus.call('storage.updateShared', { name: name, changes: {}, replace: true }).then(loadSharedStorage);
+        }));
+      });
+
+      if (keys.length === 0) {
+        container.appendChild(createElement('div', 'options-hint', '没有共享存储数据'));
+      }
+    }, function(error) {
+      container.innerHTML = '';
+      container.appendChild(createElement('div', 'options-hint', '读取共享存储失败: ' + error.message));
+    });
+  }
+
+  /**
+   * 通过选中标签页中的内容脚本读取该来源下的所有站点存储
+   */
+  function loadStorage() {
+    var container = document.getElementById('storage');
+    var tabId = getSelectedTabId();
+    if (tabId === null) return;
+
+    container.innerHTML = '';
+    MessageBus.call('storage.list', null, { tabId: tabId }).then(function(records) {
+      records.forEach(function(record) {
+        container.appendChild(renderStorageRecord('站点存储: ' + record.name, record.data, function(data) {
+          return MessageBus.call('storage.replace', { name: record.name, data: data }, { tabId: tabId });
+        }, function() {
+          return MessageBus.call('storage.clear', { name: record.name }, { tabId: tabId }).then(loadStorage);
+        }));
+      });
+      if (records.length === 0) {
+        container.appendChild(createElement('div', 'options-hint', '该来源下没有站点存储数据'));
+      }
+    }, function(error) {
+      container.appendChild(createElement('div', 'options-hint', '读取失败，该标签页可能未加载插件脚本，请刷新页面后重试: ' + error.message));
+    });
+  }
+
+  /**
+   * 读取选中标签页中已注册的快捷键，修改按键时由页面检查冲突，保存后所有页面生效
+   */
+  function loadShortcuts() {
+    var container = document.getElementById('shortcuts');
+    var tabId = getSelectedTabId();
+    if (tabId === null) return;
+
+    container.innerHTML = '';
+    MessageBus.call('shortcuts.list', null, { tabId: tabId }).then(function(items) {
+      if (items.length === 0) {
+        container.appendChild(createElement('div', 'options-hint', '该标签页当前没有注册快捷键'));
+        return;
+      }
+
+      var table = document.createElement('table');
+      var header = document.createElement('tr');
+      ['ID', '说明', '站点/路由', '默认按键', '按键', ''].forEach(function(text) {
+        header.appendChild(createElement('th', '', text));
+      });
+      table.appendChild(header);
+
+      items.forEach(function(item) {
+        var row = document.createElement('tr');
+        [
+          item.id,
+          item.description,
+          item.scope ? item.scope.site + ' ' + item.scope.route : '',
+          item.defaultKeys || ''
+        ].forEach(function(text) {
+          row.appendChild(createElement('td', '', text));
+        });
+
+        var keysCell = document.createElement('td');
+        var input = document.createElement('input');
+        input.type = 'text';
+        input.value = item.keys || '';
+        input.placeholder = '如Ctrl+Shift+O';
+        keysCell.appendChild(input);
+        if (item.conflictWith) {
+          keysCell.appendChild(createElement('div', 'options-hint', '与"' + item.conflictWith + '"冲突，暂不生效'));
+        }
+        row.appendChild(keysCell);
+
+        var remap = function(keys) {
+          MessageBus.call('shortcuts.remap', { id: item.id, keys: keys }, { tabId: tabId }).then(function() {
+            showMessage(keys === null ? '已恢复快捷键' + item.id + '的默认按键' : '已保存快捷键' + item.id);
+            loadShortcuts();
+          }, function(error) {
+            showMessage(error.message);
+          });
+        };
+        var buttons = createElement('td', 'options-buttons');
+        buttons.appendChild(createButton('保存', function() {
+          remap(input.value.trim() || null);
+        }));
+        buttons.appendChild(createButton('恢复默认', function() {
+          remap(null);
+        }, 'options-danger'));
+        row.appendChild(buttons);
+        table.appendChild(row);
+      });
+      container.appendChild(table);
+    }, function(error) {
+      container.appendChild(createElement('div', 'options-hint', '读取失败: ' + error.message));
+    });
+  }
+
+  /**
+   * 读取选中标签页的站点存储和快捷键
+   */
+  function loadTabData() {
+    loadStorage();
+    loadShortcuts();
+  }
+
+  /**
+   * 读取并渲染错误日志，最新的记录在前
+   */
+  function loadErrorLog() {
+    var container = document.getElementById('error-log');
+
+    MessageBus.call('errorLog.list').then(function(entries) {
+      container.innerHTML = '';
+      if (entries.length === 0) {
+        container.appendChild(createElement('div', 'options-hint', '没有错误日志'));
+        return;
+      }
+
+      var table = createElement('table', 'options-log');
+      var header = document.createElement('tr');
+      ['时间', '站点', '路由', 'URL', '第几次', '是否重试', '错误'].forEach(function(text) {
+        header.appendChild(createElement('th', '', text));
+      });
+      table.appendChild(header);
+
+      entries.slice().reverse().forEach(function(entry) {
+        var row = document.createElement('tr');
+        [
+          new Date(entry.timestamp).toLocaleString(),
+          entry.site,
+          entry.route,
+          entry.url,
+          String(entry.attempt),
+          entry.willRetry ? '是' : '否'
+        ].forEach(function(text) {
+          row.appendChild(createElement('td', '', text));
+        });
+
+        var message = createElement('td', '', entry.message);
+        message.title = entry.stack || '';
+        row.appendChild(message);
+        table.appendChild(row);
+      });
+      container.appendChild(table);
+    }, function(error) {
+      container.innerHTML = '';
+      container.appendChild(createElement('div', 'options-hint', '读取错误日志失败: ' + error.message));
+    });
+  }
+
+  /**
+   * 确认后清空错误日志
+   */
+  function clearErrorLog() {
+    if (!window.confirm('确定清空错误日志吗？')) return;
+
+    MessageBus.call('errorLog.clear').then(function() {
+      showMessage('已清空错误日志');
+      loadErrorLog();
+    }, function(error) {
+      showMessage(error.message);
+    });
+  }
+
+  document.getElementById('shared-storage-refresh').addEventListener('click', loadSharedStorage);
+  document.getElementById('storage-refresh').addEventListener('click', loadTabData);
+  document.getElementById('error-log-refresh').addEventListener('click', loadErrorLog);
+  document.getElementById('error-log-clear').addEventListener('click', clearErrorLog);
+
+  loadSiteScripts().then(function() {
+    window.SiteSettings.onChange(applySettings);
+    return window.SiteSettings.load().then(applySettings);
+  }).then(function() {
+    loadTabs();
+    loadSharedStorage();
+    loadErrorLog();
+  }).catch(function(error) {
+    showMessage('初始化选项页失败: ' + error.message);
+  });
+})();
@@ -0,0 +1,320 @@
+/**
+ * @fileoverview 扩展弹出窗口，显示当前标签页匹配的站点和路由、处理函数的执行状态及路由登记的操作
+ * 数据通过消息总线从标签页各框架的内容脚本获取，站点的启用状态保存在SiteSettings中
+ */
+
+(function() {
+  /**
+   * 刷新执行状态的间隔(毫秒)，路由默认延迟处理，打开弹出窗口时可能尚未执行
+   */
+  var REFRESH_INTERVAL = 1000;
+
+  /**
+   * 查询单个框架状态的超时时间(毫秒)
+   */
+  var STATUS_TIMEOUT = 3000;
+
+  /**
+   * 路由执行状态的显示文字
+   * @type {Object<string, string>}
+   */
+  var STATUS_LABELS = {
+    waiting: '等待执行',
+    running: '执行中',
+    succeeded: '执行成功',
+    retrying: '出错，等待重试',
+    failed: '执行失败'
+  };
+
+  /**
+   * 当前标签页
+   * @type {Object|null}
+   */
+  var currentTab = null;
+
+  /**
+   * 上一次渲染的状态，未变化时不重新渲染，避免打断按钮点击
+   * @type {string}
+   */
+  var lastRendered = '';
+
+  /**
+   * 调用Chrome回调式API并转换为Promise
+   * @param {Object} api - API对象，如chrome.tabs
+   * @param {string} method - 方法名
+   * @param {Array} args - 不含回调的参数
+   * @returns {Promise<*>} API的回调结果
+   */
+  function callChromeApi(api, method, args) {
+    return new Promise(function(resolve, reject) {
+      api[method].apply(api, args.concat([function(result) {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+          return;
+        }
+        resolve(result);
+      }]));
+    });
+  }
+
+  /**
+   * 获取当前窗口的活动标签页
+   * @returns {Promise<Object|null>} 标签页对象
+   */
+  function getActiveTab() {
+    return callChromeApi(chrome.tabs, 'query', [{ active: true, currentWindow: true }]).then(function(tabs) {
+      return tabs[0] || null;
+    });
+  }
+
+  /**
+   * 获取标签页所有框架的ID，顶层页面排在最前
+   * @param {number} tabId - 标签页ID
+   * @returns {Promise<Array<number>>} 框架ID数组
+   */
+  function getFrameIds(tabId) {
+    return callChromeApi(chrome.webNavigation, 'getAllFrames', [{ tabId: tabId }]).then(function(frames) {
+      return (frames || []).map(function(frame) {
+        return frame.frameId;
+      }).sort(function(a, b) {
+        return a - b;
+      });
+    }).catch(function() {
+      return [0];
+    });
+  }
+
+  /**
+   * 查询标签页各框架的执行状态，未加载内容脚本的框架忽略
+   * @returns {Promise<Array<Object>>} 各框架的状态，每项为getPageStatus的结果加上frameId
+   */
+  function loadStatuses() {
+    return getFrameIds(currentTab.id).then(function(frameIds) {
+      return Promise.all(frameIds.map(function(frameId) {
+        return MessageBus.call('getPageStatus', null, {
+          tabId: currentTab.id,
+          frameId: frameId,
+          timeout: STATUS_TIMEOUT
+        }).then(function(status) {
+          return Object.assign({ frameId: frameId }, status);
+        }, function() {
+          return null;
+        });
+      }));
+    }).then(function(statuses) {
+      return statuses.filter(Boolean);
+    });
+  }
+
+  /**
+   * 在弹出窗口底部显示提示信息
+   * @param {string} text - 提示信息
+   */
+  function showMessage(text) {
+    document.getElementById('message').textContent = text;
+  }
+
+  /**
+   * 创建指定标签和文本的元素
+   * @param {string} tagName - 标签名
+   * @param {string} className - 类名
+   * @param {string} text - 文本内容
+   * @returns {HTMLElement} 创建的元素
+   */
+  function createElement(tagName, className, text) {
+    var element = document.createElement(tagName);
+    if (className) element.className = className;
+    if (text) element.textContent = text;
+    return element;
+  }
+
+  /**
+   * 执行路由登记的操作
+   * @param {Object} status - 路由所在框架的状态
+   * @param {Object} route - 路由状态
+   * @param {Object} action - 操作信息
+   * @param {HTMLButtonElement} button - 被点击的按钮
+   */
+  function runAction(status, route, action, button) {
+    button.disabled = true;
+    showMessage('正在执行: ' + action.title);
+
+    MessageBus.call('runPageAction', {
+      scopeId: route.id,
+      actionId: action.id
+    }, {
+      tabId: currentTab.id,
+      frameId: status.frameId,
+      timeout: 60000
+    }).then(function() {
+      showMessage('已执行: ' + action.title);
+    }, function(error) {
+      showMessage('执行' + action.title + '失败: ' + error.message);
+    }).then(function() {
+      button.disabled = false;
+    });
+  }
+
+  /**
+   * 渲染所有框架中生效的路由、执行状态和操作按钮
+   * @param {Array<Object>} statuses - 各框架的状态
+   */
+  function renderRoutes(statuses) {
+    var container = document.getElementById('routes');
+    container.innerHTML = '';
+
+    statuses.forEach(function(status) {
+      status.routes.forEach(function(route) {
+        var item = createElement('div', 'popup-route');
+
+        var title = createElement('div', 'popup-route-title');
+        var name = createElement('span', '', route.site + ' ' + route.path);
+        if (!status.frame.isTop) {
+          name.appendChild(createElement('span', 'popup-route-frame', ' (子框架 ' + status.frameId + ')'));
+        }
+        title.appendChild(name);
+
+        var label = STATUS_LABELS[route.status] || route.status;
+        if (route.attempts > 1) {
+          label += '(第' + route.attempts + '次)';
+        }
+        title.appendChild(createElement('span', 'popup-status-' + route.status, label));
+        item.appendChild(title);
+
+        if (route.error) {
+          item.appendChild(createElement('div', 'popup-route-error', route.error));
+        }
+
+        if (route.actions.length > 0) {
+          var actions = createElement('div', 'popup-actions');
+          route.actions.forEach(function(action) {
+            var button = createElement('button', '', action.title);
+            button.type = 'button';
+            button.title = action.description;
+            button.addEventListener('click', function() {
+              runAction(status, route, action, button);
+            });
+            actions.appendChild(button);
+          });
+          item.appendChild(actions);
+        }
+
+        container.appendChild(item);
+      });
+    });
+
+    if (!container.firstChild) {
+      var pending = statuses.some(function(status) {
+        return status.pendingUrl;
+      });
+      container.appendChild(createElement('div', 'popup-empty', pending ? '页面地址刚刚变化，等待处理' : '当前页面没有匹配的路由'));
+    }
+  }
+
+  /**
+   * 渲染已注册的站点及启用开关，站点列表以顶层页面为准
+   * @param {Object} topStatus - 顶层页面的状态
+   */
+  function renderSites(topStatus) {
+    var container = document.getElementById('sites');
+    container.innerHTML = '';
+
+    topStatus.sites.forEach(function(site) {
+      var item = createElement('label', 'popup-site');
+
+      var name = createElement('span', '', site.name);
+      var match = site.hostMatched ? '匹配当前页面' : (site.enabled ? '不匹配当前页面' : '已停用');
+      name.appendChild(createElement('div', 'popup-site-match', match));
+      item.appendChild(name);
+
+      var toggle = document.createElement('input');
+      toggle.type = 'checkbox';
+      toggle.checked = site.enabled;
+      toggle.addEventListener('change', function() {
+        toggle.disabled = true;
+        SiteSettings.setSiteEnabled(site.name, toggle.checked).then(function() {
+          showMessage((toggle.checked ? '已启用' : '已停用') + '站点' + site.name + '，已打开的页面立即生效');
+        }, function(error) {
+          toggle.checked = !toggle.checked;
+          showMessage(error.message);
+        }).then(function() {
+          toggle.disabled = false;
+        });
+      });
+      item.appendChild(toggle);
+
+      container.appendChild(item);
+    });
+
+    if (!container.firstChild) {
+      container.appendChild(createElement('div', 'popup-empty', '没有已注册的站点'));
+    }
+  }
+
+  /**
+   * 查询并渲染当前标签页的状态
+   * @returns {Promise<void>}
+   */
+  function refresh() {
+    return loadStatuses().then(function(statuses) {
+      var topStatus = statuses.find(function(status) {
+        return status.frameId === 0;
+      });
+
+      var snapshot = JSON.stringify(statuses);
+      if (snapshot === lastRendered) return;
+      lastRendered = snapshot;
+
+      document.getElementById('diagnostics').disabled = !topStatus;
+      if (!topStatus) {
+        document.getElementById('url').textContent = currentTab.url || '';
+        document.getElementById('routes').innerHTML = '';
+        document.getElementById('sites').innerHTML = '';
+        showMessage('当前页面未加载插件脚本，浏览器内置页面不支持，其他页面请刷新后重试');
+        return;
+      }
+
+      document.getElementById('url').textContent = topStatus.url;
+      renderRoutes(statuses);
+      renderSites(topStatus);
+    });
+  }
+
+  /**
+   * 定时刷新状态，上一次查询完成后再开始计时
+   */
+  function scheduleRefresh() {
+    setTimeout(function() {
+      refresh().then(scheduleRefresh, scheduleRefresh);
+    }, REFRESH_INTERVAL);
+  }
+
+  /**
+   * 在当前标签页展示路由匹配诊断并关闭弹出窗口
+   */
+  function showDiagnostics() {
+    MessageBus.call('showRouteDiagnostics', null, { tabId: currentTab.id }).then(function() {
+      window.close();
+    }, function(error) {
+      showMessage('无法展示路由诊断: ' + error.message);
+    });
+  }
+
+  document.getElementById('diagnostics').addEventListener('click', showDiagnostics);
+
+  document.getElementById('options').addEventListener('click', function() {
+    chrome.runtime.openOptionsPage();
+  });
+
+  getActiveTab().then(function(tab) {
+    if (!tab) {
+      showMessage('没有找到当前标签页');
+      return;
+    }
+
+    currentTab = tab;
+    return refresh().then(scheduleRefresh);
+  }).catch(function(error) {
+    showMessage('读取页面状态失败: ' + error.message);
+  });
+})();
@@ -0,0 +1,202 @@
+/**
+ * @fileoverview 在本地HTTP服务上验证后台代理请求服务(core/proxyFetchService.js)
+ * 覆盖json/text/blob响应、超时、缓存命中、不允许的来源和重定向，需要Node 18及以上(内置fetch)
+ * 运行: node scripts/checkProxyFetch.js，全部通过时退出码为0
+ */
+
+var assert = require('assert');
+var http = require('http');
+var path = require('path');
+
+// 与后台一样按顺序加载主机匹配和代理请求服务
+require(path.join(__dirname, '..', 'core', 'hostPattern.js'));
+require(path.join(__dirname, '..', 'core', 'proxyFetchService.js'));
+
+var ProxyFetchService = globalThis.ProxyFetchService;
+
+/**
+ * 每个路径被请求的次数，用于判断缓存是否命中
+ * @type {Object<string, number>}
+ */
+var hits = {};
+
+/**
+ * 本地服务的路由，键为路径
+ * @type {Object<string, Function>}
+ */
+var routes = {
+  '/json': function(req, res) {
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({ ok: true, items: [1, 2] }));
+  },
+  '/text': function(req, res) {
+    res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+    res.end('你好');
+  },
+  '/blob': function(req, res) {
+    res.setHeader('Content-Type', 'application/octet-stream');
+    res.end(Buffer.from([0, 1, 2, 255]));
+  },
+  '/slow': function(req, res) {
+    setTimeout(function() {
+      res.end('late');
+    }, 500);
+  },
+  '/count': function(req, res) {
+    res.end(String(hits['/count']));
+  },
+  '/not-json': function(req, res) {
+    res.statusCode = 500;
+    res.end('服务器错误');
+  },
+  '/redirect-allowed': function(req, res) {
+    res.statusCode = 302;
+    res.setHeader('Location', '/json');
+    res.end();
+  },
+  // 重定向到同一服务的另一个主机名，允许列表只允许127.0.0.1
+  '/redirect-away': function(req, res) {
+    res.statusCode = 302;
+    res.setHeader('Location', 'http://localhost:' + server.address().port + '/json');
+    res.end();
+  }
+};
+
+var server = http.createServer(function(req, res) {
+  var pathname = req.url.split('?')[0];
+  hits[pathname] = (hits[pathname] || 0) + 1;
+
+  var route = routes[pathname];
+  if (!route) {
+    res.statusCode = 404;
+    res.end();
+    return;
+  }
+  route(req, res);
+});
+
+/**
+ * 依次执行检查，输出每项结果
+ * @param {string} base - 本地服务地址
+ * @returns {Promise<void>}
+ */
+function runChecks(base) {
+  var service = ProxyFetchService.create({
+    getAllowList: function() {
+      return Promise.resolve({ 'localhost': [base] });
+    }
+  });
+  var sender = { tab: { id: 1 }, url: 'http://localhost/page' };
+
+  var checks = [
+    ['json响应', function() {
+      return service.request({ url: base + '/json', responseType: 'json' }, sender).then(function(response) {
+        assert.strictEqual(response.status, 200);
+        assert.deepStrictEqual(response.body, { ok: true, items: [1, 2] });
+        assert.strictEqual(response.fromCache, false);
+      });
+    }],
+    ['text响应', function() {
+      return service.request({ url: base + '/text' }, sender).then(function(response) {
+        assert.strictEqual(response.body, '你好');
+        assert.strictEqual(response.headers['content-type'], 'text/plain; charset=utf-8');
+      });
+    }],
+    ['blob响应', function() {
+      return service.request({ url: base + '/blob', responseType: 'blob' }, sender).then(function(response) {
+        assert.deepStrictEqual(response.body, {
+          type: 'application/octet-stream',
+          size: 4,
+          base64: Buffer.from([0, 1, 2, 255]).toString('base64')
+        });
+      });
+    }],
+    ['非2xx的非JSON响应保留原文', function() {
+      return service.request({ url: base + '/not-json', responseType: 'json' }, sender).then(function(response) {
+        assert.strictEqual(response.ok, false);
+        assert.strictEqual(response.body, '服务器错误');
+      });
+    }],
+    ['超时', function() {
+      return service.request({ url: base + '/slow', timeout: 100 }, sender).then(function() {
+        assert.fail('应当超时');
+      }, function(error) {
+        assert.strictEqual(error.code, 'TIMEOUT');
+      });
+    }],
+    ['缓存命中', function() {
+      var payload = { url: base + '/count', cacheTtl: 60000 };
+      return service.request(payload, sender).then(function(first) {
+        return service.request(payload, sender).then(function(second) {
+          assert.strictEqual(first.fromCache, false);
+          assert.strictEqual(second.fromCache, true);
+          assert.strictEqual(second.body, first.body);
+          assert.strictEqual(hits['/count'], 1);
+        });
+      });
+    }],
+    ['不允许的来源', function() {
+      var before = hits['/json'];
+      return service.request({ url: base + '/json' }, { tab: { id: 2 }, url: 'https://other.example.com/' }).then(function() {
+        assert.fail('应当被拒绝');
+      }, function(error) {
+        assert.strictEqual(error.code, 'NOT_ALLOWED');
+        assert.strictEqual(hits['/json'], before);
+      });
+    }],
+    ['不允许的目标', function() {
+      return service.request({ url: 'http://127.0.0.2:1/json' }, sender).then(function() {
+        assert.fail('应当被拒绝');
+      }, function(error) {
+        assert.strictEqual(error.code, 'NOT_ALLOWED');
+      });
+    }],
+    ['允许的重定向', function() {
+      return service.request({ url: base + '/redirect-allowed', responseType: 'json' }, sender).then(function(response) {
+        assert.deepStrictEqual(response.body, { ok: true, items: [1, 2] });
+        assert.strictEqual(response.url, base + '/json');
+      });
+    }],
+    ['重定向到不允许的主机', function() {
+      return service.request({ url: base + '/redirect-away', responseType: 'json' }, sender).then(function() {
+        assert.fail('应当被拒绝');
+      }, function(error) {
+        assert.strictEqual(error.code, 'NOT_ALLOWED');
+      });
+    }],
+    ['扩展页面不受允许列表限制', function() {
+      return service.request({ url: base + '/text' }, {}).then(function(response) {
+        assert.strictEqual(response.body, '你好');
+      });
+    }]
+  ];
+
+  var failed = 0;
+  return checks.reduce(function(previous, check) {
+    return previous.then(function() {
+      return check[1]().then(function() {
+        console.log('通过: ' + check[0]);
+      }, function(error) {
+        failed++;
+        console.error('失败: ' + check[0] + ' - ' + error.message);
+      });
+    });
+  }, Promise.resolve()).then(function() {
+    if (failed > 0) {
+      throw new Error(failed + '项检查失败');
+    }
+  });
+}
+
+server.listen(0, '127.0.0.1', function() {
+  var base = 'http://127.0.0.1:' + server.address().port;
+
+  runChecks(base).then(function() {
+    console.log('全部通过');
+    server.close();
+  }, function(error) {
+    console.error(error.message);
+    process.exitCode = 1;
+    server.close();
+  });
+});
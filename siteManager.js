@@ -4,7 +4,21 @@
 
 (function () {
   /**
-   * 站点配置数组，定义支持的网站和对应的路由规则
+   * 已注册的站点配置数组，定义支持的网站和对应的路由规则
+   * 站点配置通过registerSite注册，通常由sites/目录下的处理文件自行注册
+   * - name: 站点名称，全局唯一，用于unregisterSite等操作
+   *
+   * 站点匹配规则：
+   * - url: 站点域名，匹配该域名及其子域名，如"andfleet.cm-iov.com"
+   * - hosts: 可选，主机匹配模式数组，格式为"[协议://]主机[:端口]"
+   *   - "example.com": 仅匹配该主机
+   *   - "*.example.com": 匹配example.com及其所有子域名
+   *   - "*": 匹配所有主机
+   *   - 协议和端口可选，如"https://example.com:8443"、"*://*.example.com"
+   * - url同样可带协议和端口，如"https://andfleet.cm-iov.com"
+   * - excludeHosts: 可选，排除的主机匹配模式数组，格式同hosts
+   * - excludePaths: 可选，排除的路径数组，按"pathPrefix"规则匹配(支持"#"和":参数名")
+   *
    * 匹配方式规则：
    * - path="/"且不设置matchType: 全部页面匹配
    * - path="/"且设置matchType: 按设置的matchType规则匹配
@@ -16,130 +30,1244 @@
    * - "pathExact": 路径精确匹配，只匹配路径部分，忽略参数和hash
    * - "pathPrefix": 部分路径匹配，匹配以此开头的所有路径
    * - "regex": 正则表达式匹配，"/^正则$/格式"
+   *
+   * 路由参数：
+   * - 非regex路由的path中可使用":参数名"占位一个路径段，如"/order/:orderId/detail"
+   * - path中包含"#"时，会连同hash路由部分一起匹配，如"/v1/evhe/#/order/:id"
+   * - regex路由中的命名捕获组(?<name>...)同样作为路由参数
+   * - 匹配到的参数以pageInfo.params传给处理函数
+   *
+   * 查询参数条件：
+   * - query: 可选，URL查询参数("?"之后、"#"之前)需满足的条件
+   * - hashQuery: 可选，hash路由中"?"之后的查询参数需满足的条件
+   * - 条件值: true表示参数存在，false表示参数不存在，字符串/数字表示值相等，RegExp表示值匹配正则
+   * - 两者与matchType同时生效，解析后的参数以pageInfo.query和pageInfo.hashQuery传给处理函数
+   *
+   * 生命周期：
+   * - onEnter(pageInfo): 可选，处理函数执行前调用
+   * - onLeave(pageInfo): 可选，URL变化离开该路由时调用
+   * - handler可返回清理函数，离开路由时执行
+   *
+   * 执行顺序：
+   * - 所有匹配的站点和路由都会执行
+   * - priority: 可选，数值越大越先执行，默认0；相同优先级按声明顺序执行
+   * - exclusive: 可选，为true时该路由匹配后不再执行优先级更低的路由
+   *
+   * 时机与就绪条件(未设置时使用content.js中的全局默认值)：
+   * - delay: 可选，URL变化后延迟多久处理该路由(毫秒)
+   * - repeatThreshold: 可选，同一URL在此间隔(毫秒)内不重复处理
+   * - waitForSelector: 可选，等待元素出现后再执行，值为选择器字符串或{selector, timeout}
+   * - waitForDOMStable: 可选，等待DOM稳定后再执行，值为true或{waitTime, timeout}
+   *
+   * 框架(iframe)：
+   * - frames: 可选，站点或路由在哪些框架中执行，路由上的设置优先于站点
+   *   - "top": 仅顶层页面(默认)
+   *   - "child": 仅子框架(iframe)
+   *   - "all": 顶层页面和子框架
+   * - 处理函数通过pageInfo.frame获取所在框架信息，跨框架通信使用FrameBridge
+   *
+   * 错误处理：
+   * - 处理函数的同步异常和返回Promise的拒绝都会被捕获并记录到错误日志(ErrorLog)
+   * - errorPolicy: 可选，{retries: 重试次数(默认0，即放弃), delay: 首次重试延迟毫秒(默认1000), backoff: 延迟倍数(默认2)}
+   *
+   * 站点级扩展功能：
+   * - jobs: 可选，定时任务定义数组，格式见Scheduler.schedule
+   * - contextMenus: 可选，右键菜单项数组，只在匹配url/hosts的页面显示
+   *   - id: 菜单项标识，站点内唯一
+   *   - title: 菜单标题，"%s"会替换为选中的文本
+   *   - contexts: 可选，显示菜单的位置，默认["selection"]，可选值见CONTEXT_MENU_TYPES
+   *   - handler(info): 点击时在内容脚本中调用，info包含selectionText、linkUrl、srcUrl、pageUrl、frameUrl和element(右键点击的元素)
+   * - options: 可选，站点选项数组，用户在选项页中修改，处理函数通过pageInfo.options读取
+   *   - key: 选项标识，站点内唯一
+   *   - label: 选项页中显示的名称
+   *   - type: "boolean"、"number"或"string"
+   *   - default: 默认值，类型须与type一致
+   *   - description: 可选，说明
    * @type {Array<Object>}
    */
-  var siteConfigs = [
-    {
-      url: "andfleet.cm-iov.com",
-      routes: [
-        {
-          path: "/v1/evhe/#/order/",
-          matchType: "pathPrefix",
-          handler: handleAndfleet,
-        },
-      ],
-    },
-  ];
+  var siteConfigs = [];
 
   /**
-   * 根据URL查找对应的处理函数
+   * 站点注册变化的监听函数
+   * @type {Array<Function>}
+   */
+  var changeListeners = [];
+
+  /**
+   * 用户的站点设置，由content.js从SiteSettings读取后通过applySettings传入
+   * - sites: 键为站点名称，enabled为false时该站点停用，不匹配任何页面；
+   *   disabledRoutes中的路由路径不再匹配；values为站点选项的取值
+   * @type {Object}
+   */
+  var settings = { sites: {} };
+
+  /**
+   * 支持的matchType取值
+   * @type {Array<string>}
+   */
+  var MATCH_TYPES = ["exact", "pathExact", "pathPrefix", "regex"];
+
+  /**
+   * 支持的frames取值
+   * @type {Array<string>}
+   */
+  var FRAME_TYPES = ["top", "child", "all"];
+
+  /**
+   * 支持的右键菜单contexts取值
+   * @type {Array<string>}
+   */
+  var CONTEXT_MENU_TYPES = ["all", "page", "frame", "selection", "link", "editable", "image", "video", "audio"];
+
+  /**
+   * 支持的站点选项type取值
+   * @type {Array<string>}
+   */
+  var OPTION_TYPES = ["boolean", "number", "string"];
+
+  /**
+   * 根据URL查找所有匹配的路由，按执行顺序排列
    * @param {string} url - 需要处理的URL
-   * @returns {Function|null} 返回对应的处理函数，未找到则返回null
+   * @returns {Array<Object>} 匹配结果数组，每项包含site、route、handler、params、query和hashQuery
    */
-  function findHandlerForUrl(url) {
+  function matchRoutes(url) {
     console.log("查找URL处理函数: " + url);
 
     try {
-      var urlObj = new URL(url);
-      var hostname = urlObj.hostname;
-      var pathname = urlObj.pathname;
-      var hash = urlObj.hash;
-      var fullPath = pathname + hash;
-
-      // 查找匹配的站点
-      var site = siteConfigs.find(function (site) {
-        return (
-          hostname === site.url ||
-          hostname.endsWith("." + site.url) ||
-          hostname.includes(site.url)
-        );
+      var matches = evaluateUrl(url).matches;
+
+      matches.forEach(function (match) {
+        logMatchInfo(match.route, match.params);
+      });
+
+      return matches;
+    } catch (error) {
+      console.error("查找URL处理函数时发生错误:", error);
+      return [];
+    }
+  }
+
+  /**
+   * 诊断URL与所有站点、路由的匹配过程，用于排查处理函数未执行的原因
+   * 返回结果只包含可序列化的数据，可直接通过扩展消息传递
+   * @param {string} url - 需要诊断的URL
+   * @returns {Object} 诊断结果，包含url、规范化后的URL各部分parts、每个站点及路由的匹配详情sites，以及最终执行顺序matches
+   */
+  function explain(url) {
+    var evaluation;
+    try {
+      evaluation = evaluateUrl(url);
+    } catch (error) {
+      return { url: url, error: "URL解析失败: " + error.message, parts: null, sites: [], matches: [] };
+    }
+
+    var urlObj = evaluation.urlObj;
+    var urlParts = evaluation.urlParts;
+
+    return {
+      url: url,
+      error: null,
+      parts: {
+        scheme: urlObj.protocol.replace(/:$/, ""),
+        hostname: urlObj.hostname,
+        port: window.HostPattern.getEffectivePort(urlObj),
+        path: urlParts.path,
+        query: urlParts.query,
+        hash: urlParts.hash,
+        hashPath: urlParts.hashPath,
+        hashQuery: urlParts.hashQuery,
+        queryParams: urlParts.queryParams,
+        hashQueryParams: urlParts.hashQueryParams,
+        fullPath: evaluation.fullPath,
+      },
+      sites: evaluation.siteReports.map(function (siteReport) {
+        var site = siteReport.site;
+        return {
+          name: site.name || "",
+          url: site.url || "",
+          hosts: (site.hosts || []).slice(),
+          enabled: isSiteEnabled(site.name),
+          hostMatched: siteReport.matched,
+          reason: siteReport.reason,
+          routes: siteReport.routes.map(function (routeReport) {
+            return {
+              index: routeReport.index,
+              path: routeReport.route.path,
+              matchType: routeReport.matchType,
+              target: routeReport.target,
+              priority: routeReport.route.priority || 0,
+              exclusive: !!routeReport.route.exclusive,
+              matched: routeReport.matched,
+              willRun: routeReport.runOrder !== null,
+              runOrder: routeReport.runOrder,
+              params: routeReport.params,
+              reason: routeReport.reason,
+            };
+          }),
+        };
+      }),
+      matches: evaluation.matches.map(function (match, index) {
+        return {
+          runOrder: index,
+          site: match.site.name || "",
+          path: match.route.path,
+          params: match.params,
+        };
+      }),
+    };
+  }
+
+  /**
+   * 对URL执行完整的站点和路由匹配，记录每一步的结果
+   * @private
+   * @param {string} url - 需要处理的URL
+   * @returns {Object} 匹配过程，包含urlObj、urlParts、fullPath、每个站点的匹配报告siteReports及最终执行的matches
+   * @throws {Error} URL无法解析时抛出错误
+   */
+  function evaluateUrl(url) {
+    var urlObj = new URL(url);
+    var pathname = urlObj.pathname;
+    var hash = urlObj.hash;
+    var fullPath = pathname + hash;
+    var urlParts = parseUrlParts(pathname + urlObj.search + hash);
+
+    var matches = [];
+    var siteReports = siteConfigs.map(function (site) {
+      var siteReport = evaluateSiteHost(site, urlObj, urlParts);
+      siteReport.site = site;
+      siteReport.routes = evaluateRoutes(site, fullPath, urlParts);
+
+      siteReport.routes.forEach(function (routeReport) {
+        routeReport.runOrder = null;
+
+        if (!siteReport.matched) {
+          routeReport.reason = routeReport.reason || "站点未匹配: " + siteReport.reason;
+          return;
+        }
+        if (!routeReport.matched) return;
+
+        matches.push({
+          site: site,
+          route: routeReport.route,
+          handler: routeReport.route.handler,
+          params: routeReport.params,
+          query: urlParts.queryParams,
+          hashQuery: urlParts.hashQueryParams,
+          order: matches.length,
+          report: routeReport,
+        });
       });
 
-      if (!site) return null;
+      return siteReport;
+    });
 
-      var route = findMatchingRoute(site, fullPath, pathname, hash);
-      
-      if (route && route.handler) {
-        logMatchInfo(route);
+    var ordered = applyPriority(matches);
+    ordered.forEach(function (match, index) {
+      match.report.runOrder = index;
+    });
+    matches.forEach(function (match) {
+      if (match.report.runOrder === null) {
+        match.report.reason = "被优先级更高的exclusive路由截断";
       }
+    });
+
+    return {
+      urlObj: urlObj,
+      urlParts: urlParts,
+      fullPath: fullPath,
+      siteReports: siteReports,
+      matches: ordered,
+    };
+  }
+
+  /**
+   * 根据URL查找最先执行的站点、路由及路由参数
+   * @param {string} url - 需要处理的URL
+   * @returns {Object|null} 匹配结果，包含site、route、handler、params、query和hashQuery，未找到则返回null
+   */
+  function matchUrl(url) {
+    var matches = matchRoutes(url);
+    return matches.length > 0 ? matches[0] : null;
+  }
+
+  /**
+   * 根据URL查找对应的处理函数
+   * @param {string} url - 需要处理的URL
+   * @returns {Function|null} 返回对应的处理函数，未找到则返回null
+   */
+  function findHandlerForUrl(url) {
+    var match = matchUrl(url);
+    return match ? match.handler : null;
+  }
+
+  /**
+   * 注册站点配置，配置格式见siteConfigs说明
+   * @param {Object} config - 站点配置
+   * @returns {Object} 已注册的站点配置
+   * @throws {Error} 配置格式错误或站点名称重复时抛出错误
+   */
+  function registerSite(config) {
+    validateSiteConfig(config);
+
+    var exists = siteConfigs.some(function (site) {
+      return site.name === config.name;
+    });
+    if (exists) {
+      throw new Error('站点"' + config.name + '"已注册，请先调用unregisterSite');
+    }
+
+    siteConfigs.push(config);
+    console.log("注册站点: " + config.name);
+    notifyChange();
+    return config;
+  }
+
+  /**
+   * 注销站点配置
+   * @param {string} name - 站点名称
+   * @returns {boolean} 是否找到并注销了该站点
+   */
+  function unregisterSite(name) {
+    for (var i = 0; i < siteConfigs.length; i++) {
+      if (siteConfigs[i].name === name) {
+        siteConfigs.splice(i, 1);
+        console.log("注销站点: " + name);
+        notifyChange();
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * 获取所有已注册的站点配置
+   * @returns {Array<Object>} 站点配置数组的副本
+   */
+  function listSites() {
+    return siteConfigs.slice();
+  }
+
+  /**
+   * 监听站点注册和注销
+   * @param {Function} callback - 站点列表变化时调用，无参数
+   * @returns {Function} 取消监听的函数
+   */
+  function onChange(callback) {
+    changeListeners.push(callback);
+    return function () {
+      changeListeners = changeListeners.filter(function (listener) {
+        return listener !== callback;
+      });
+    };
+  }
+
+  /**
+   * 通知站点列表已变化，单个监听函数出错不影响其余监听函数
+   * @private
+   */
+  function notifyChange() {
+    changeListeners.forEach(function (listener) {
+      try {
+        listener();
+      } catch (error) {
+        console.error("执行站点变化监听函数时发生错误:", error);
+      }
+    });
+  }
+
+  /**
+   * 应用用户的站点设置，之后的匹配按新设置进行，已执行的路由由调用方处理
+   * @param {Object} newSettings - SiteSettings.load返回的设置对象
+   */
+  function applySettings(newSettings) {
+    settings = {
+      sites: Object.assign({}, newSettings && newSettings.sites),
+    };
+  }
+
+  /**
+   * 判断站点是否启用，未设置过的站点默认启用
+   * @param {string} name - 站点名称
+   * @returns {boolean} 是否启用
+   */
+  function isSiteEnabled(name) {
+    var site = settings.sites[name];
+    return !site || site.enabled !== false;
+  }
+
+  /**
+   * 判断路由是否启用，不考虑所属站点是否启用
+   * @param {string} name - 站点名称
+   * @param {string} path - 路由路径
+   * @returns {boolean} 是否启用
+   */
+  function isRouteEnabled(name, path) {
+    var site = settings.sites[name];
+    return !site || !site.disabledRoutes || site.disabledRoutes.indexOf(path) === -1;
+  }
+
+  /**
+   * 获取站点选项的当前取值，用户未修改或取值类型不符的选项使用声明的默认值
+   * @param {string} name - 站点名称
+   * @returns {Object} 键为选项key的取值对象，站点未注册时为空对象
+   */
+  function getSiteOptions(name) {
+    var site = siteConfigs.find(function (config) {
+      return config.name === name;
+    });
+    var values = (settings.sites[name] && settings.sites[name].values) || {};
+    var options = {};
 
-      return route ? route.handler : null;
+    ((site && site.options) || []).forEach(function (option) {
+      var value = values[option.key];
+      options[option.key] = typeof value === option.type ? value : option.default;
+    });
+    return options;
+  }
+
+  /**
+   * 判断URL的主机是否属于站点，同时检查excludeHosts和excludePaths，不检查路由
+   * @param {string} name - 站点名称
+   * @param {string} url - 需要判断的URL
+   * @returns {boolean} 站点已注册且URL属于该站点时返回true
+   */
+  function matchSite(name, url) {
+    var site = siteConfigs.find(function (config) {
+      return config.name === name;
+    });
+    if (!site) return false;
+
+    try {
+      var urlObj = new URL(url);
+      var urlParts = parseUrlParts(urlObj.pathname + urlObj.search + urlObj.hash);
+      return evaluateSiteHost(site, urlObj, urlParts).matched;
     } catch (error) {
-      console.error("查找URL处理函数时发生错误:", error);
-      return null;
+      return false;
     }
   }
 
+  /**
+   * 判断子框架的URL是否属于需要在子框架中执行的已启用站点(站点或任一路由的frames为"child"或"all")
+   * 内容脚本默认只注入顶层页面，后台据此决定是否向子框架注入
+   * @param {string} url - 子框架的URL
+   * @returns {boolean} 是否需要注入
+   */
+  function matchSubframe(url) {
+    return siteConfigs.some(function (site) {
+      var usesSubframes = [site].concat(site.routes).some(function (config) {
+        return config.frames === "child" || config.frames === "all";
+      });
+      return usesSubframes && isSiteEnabled(site.name) && matchSite(site.name, url);
+    });
+  }
+
+  /**
+   * 获取所有站点声明的右键菜单项，不含处理函数，可直接发送给后台
+   * @returns {Array<Object>} 菜单项数组，每项包含site、id、title、contexts和documentUrlPatterns
+   */
+  function listContextMenus() {
+    var menus = [];
+
+    siteConfigs.forEach(function (site) {
+      var documentUrlPatterns = getDocumentUrlPatterns(site);
+
+      (site.contextMenus || []).forEach(function (menu) {
+        menus.push({
+          site: site.name,
+          id: menu.id,
+          title: menu.title,
+          contexts: menu.contexts || ["selection"],
+          documentUrlPatterns: documentUrlPatterns,
+        });
+      });
+    });
+
+    return menus;
+  }
+
+  /**
+   * 将站点的主机匹配模式转换为Chrome的URL匹配模式，用于限定右键菜单显示的页面
+   * 匹配模式不支持端口和排除规则，这部分在点击时由matchSite再次检查
+   * @private
+   * @param {Object} site - 站点配置
+   * @returns {Array<string>} URL匹配模式数组
+   */
+  function getDocumentUrlPatterns(site) {
+    return getHostPatterns(site)
+      .filter(function (pattern) {
+        return pattern !== null;
+      })
+      .map(function (pattern) {
+        var host = pattern.host;
+        if (host !== "*" && pattern.includeSubdomains) {
+          host = "*." + host;
+        }
+        return (pattern.scheme || "*") + "://" + host + "/*";
+      });
+  }
+
+  /**
+   * 查找站点声明的右键菜单项
+   * @param {string} siteName - 站点名称
+   * @param {string} id - 菜单项标识
+   * @returns {Object|null} 菜单项配置，未找到时返回null
+   */
+  function findContextMenu(siteName, id) {
+    var site = siteConfigs.find(function (config) {
+      return config.name === siteName;
+    });
+    if (!site) return null;
+
+    return (
+      (site.contextMenus || []).find(function (menu) {
+        return menu.id === id;
+      }) || null
+    );
+  }
+
   // 将站点管理器导出到全局命名空间
   window.SiteManager = {
     findHandlerForUrl: findHandlerForUrl,
+    matchUrl: matchUrl,
+    matchRoutes: matchRoutes,
+    explain: explain,
+    registerSite: registerSite,
+    unregisterSite: unregisterSite,
+    listSites: listSites,
+    onChange: onChange,
+    applySettings: applySettings,
+    isSiteEnabled: isSiteEnabled,
+    isRouteEnabled: isRouteEnabled,
+    getSiteOptions: getSiteOptions,
+    matchSite: matchSite,
+    matchSubframe: matchSubframe,
+    listContextMenus: listContextMenus,
+    findContextMenu: findContextMenu,
     siteConfigs: siteConfigs,
   };
 
   /**
-   * 查找与URL匹配的路由
+   * 校验站点配置格式
+   * @private
+   * @param {Object} config - 站点配置
+   * @throws {Error} 配置格式错误时抛出错误，错误信息指明出错的站点和路由
+   */
+  function validateSiteConfig(config) {
+    if (!config || typeof config !== "object") {
+      throw new Error("站点配置必须是对象");
+    }
+
+    if (typeof config.name !== "string" || !config.name) {
+      throw new Error("站点配置缺少name");
+    }
+
+    var prefix = '站点"' + config.name + '"';
+
+    if (!config.url && !(Array.isArray(config.hosts) && config.hosts.length > 0)) {
+      throw new Error(prefix + "必须设置url或hosts");
+    }
+
+    validateHostPatterns(prefix, "url", config.url ? [config.url] : []);
+    validateHostPatterns(prefix, "hosts", config.hosts);
+    validateHostPatterns(prefix, "excludeHosts", config.excludeHosts);
+
+    if (config.excludePaths !== undefined) {
+      var validPaths =
+        Array.isArray(config.excludePaths) &&
+        config.excludePaths.every(function (path) {
+          return typeof path === "string";
+        });
+      if (!validPaths) {
+        throw new Error(prefix + "的excludePaths必须是字符串数组");
+      }
+    }
+
+    validateFrames(config.frames, prefix);
+    validateJobs(config.jobs, prefix);
+    validateContextMenus(config.contextMenus, prefix);
+    validateOptions(config.options, prefix);
+
+    if (!Array.isArray(config.routes) || config.routes.length === 0) {
+      throw new Error(prefix + "至少需要一个路由");
+    }
+
+    config.routes.forEach(function (route, index) {
+      validateRouteConfig(route, prefix + "的第" + (index + 1) + "个路由");
+    });
+  }
+
+  /**
+   * 校验站点的定时任务列表，任务定义的其余字段由后台在注册时校验
+   * @private
+   * @param {Array<Object>} [jobs] - 定时任务定义列表
+   * @param {string} prefix - 错误信息前缀
+   * @throws {Error} 配置格式错误时抛出错误
+   */
+  function validateJobs(jobs, prefix) {
+    if (jobs === undefined) return;
+
+    if (!Array.isArray(jobs)) {
+      throw new Error(prefix + "的jobs必须是数组");
+    }
+
+    jobs.forEach(function (job, index) {
+      if (!job || typeof job.name !== "string" || !job.name) {
+        throw new Error(prefix + "的第" + (index + 1) + "个定时任务缺少name");
+      }
+    });
+  }
+
+  /**
+   * 校验站点的右键菜单项列表
+   * @private
+   * @param {Array<Object>} [menus] - 右键菜单项列表
+   * @param {string} prefix - 错误信息前缀
+   * @throws {Error} 配置格式错误时抛出错误
+   */
+  function validateContextMenus(menus, prefix) {
+    if (menus === undefined) return;
+
+    if (!Array.isArray(menus)) {
+      throw new Error(prefix + "的contextMenus必须是数组");
+    }
+
+    var ids = {};
+    menus.forEach(function (menu, index) {
+      var menuPrefix = prefix + "的第" + (index + 1) + "个右键菜单项";
+
+      if (!menu || typeof menu.id !== "string" || !menu.id) {
+        throw new Error(menuPrefix + "缺少id");
+      }
+      if (ids[menu.id]) {
+        throw new Error(menuPrefix + '的id"' + menu.id + '"重复');
+      }
+      ids[menu.id] = true;
+
+      if (typeof menu.title !== "string" || !menu.title) {
+        throw new Error(menuPrefix + "缺少title");
+      }
+      if (typeof menu.handler !== "function") {
+        throw new Error(menuPrefix + "缺少handler");
+      }
+
+      var validContexts =
+        menu.contexts === undefined ||
+        (Array.isArray(menu.contexts) &&
+          menu.contexts.length > 0 &&
+          menu.contexts.every(function (context) {
+            return CONTEXT_MENU_TYPES.indexOf(context) !== -1;
+          }));
+      if (!validContexts) {
+        throw new Error(menuPrefix + "的contexts必须是由" + CONTEXT_MENU_TYPES.join("、") + "组成的非空数组");
+      }
+    });
+  }
+
+  /**
+   * 校验站点选项列表
+   * @private
+   * @param {Array<Object>} [options] - 站点选项列表
+   * @param {string} prefix - 错误信息前缀
+   * @throws {Error} 配置格式错误时抛出错误
+   */
+  function validateOptions(options, prefix) {
+    if (options === undefined) return;
+
+    if (!Array.isArray(options)) {
+      throw new Error(prefix + "的options必须是数组");
+    }
+
+    var keys = {};
+    options.forEach(function (option, index) {
+      var optionPrefix = prefix + "的第" + (index + 1) + "个选项";
+
+      if (!option || typeof option.key !== "string" || !option.key) {
+        throw new Error(optionPrefix + "缺少key");
+      }
+      if (keys[option.key]) {
+        throw new Error(optionPrefix + '的key"' + option.key + '"重复');
+      }
+      keys[option.key] = true;
+
+      if (OPTION_TYPES.indexOf(option.type) === -1) {
+        throw new Error(optionPrefix + "的type必须是" + OPTION_TYPES.join("、") + "之一");
+      }
+      if (typeof option.default !== option.type) {
+        throw new Error(optionPrefix + "的default必须是" + option.type + "类型");
+      }
+    });
+  }
+
+  /**
+   * 校验主机匹配模式列表
+   * @private
+   * @param {string} prefix - 错误信息前缀
+   * @param {string} field - 字段名
+   * @param {Array<string>} [patterns] - 主机匹配模式列表
+   * @throws {Error} 模式格式错误时抛出错误
+   */
+  function validateHostPatterns(prefix, field, patterns) {
+    if (patterns === undefined) return;
+
+    if (!Array.isArray(patterns)) {
+      throw new Error(prefix + "的" + field + "必须是数组");
+    }
+
+    patterns.forEach(function (pattern) {
+      if (!window.HostPattern.isValid(pattern)) {
+        throw new Error(prefix + "的" + field + '包含无效的主机匹配模式: "' + pattern + '"');
+      }
+    });
+  }
+
+  /**
+   * 校验单个路由配置
+   * @private
+   * @param {Object} route - 路由配置
+   * @param {string} prefix - 错误信息前缀
+   * @throws {Error} 配置格式错误时抛出错误
+   */
+  function validateRouteConfig(route, prefix) {
+    if (!route || typeof route !== "object") {
+      throw new Error(prefix + "必须是对象");
+    }
+
+    if (typeof route.path !== "string" || !route.path) {
+      throw new Error(prefix + "缺少path");
+    }
+
+    if (route.matchType !== undefined && MATCH_TYPES.indexOf(route.matchType) === -1) {
+      throw new Error(
+        prefix + '的matchType "' + route.matchType + '"无效，可选值: ' + MATCH_TYPES.join(", ")
+      );
+    }
+
+    if (route.matchType === "regex") {
+      validateRegexPath(route.path, prefix);
+    }
+
+    if (typeof route.handler !== "function") {
+      throw new Error(prefix + "(" + route.path + ")缺少handler处理函数");
+    }
+
+    ["onEnter", "onLeave"].forEach(function (hook) {
+      if (route[hook] !== undefined && typeof route[hook] !== "function") {
+        throw new Error(prefix + "的" + hook + "必须是函数");
+      }
+    });
+
+    if (route.priority !== undefined && typeof route.priority !== "number") {
+      throw new Error(prefix + "的priority必须是数字");
+    }
+
+    if (route.errorPolicy !== undefined) {
+      validateErrorPolicy(route.errorPolicy, prefix);
+    }
+
+    validateFrames(route.frames, prefix);
+
+    ["delay", "repeatThreshold"].forEach(function (field) {
+      if (route[field] !== undefined && !(typeof route[field] === "number" && route[field] >= 0)) {
+        throw new Error(prefix + "的" + field + "必须是非负数");
+      }
+    });
+
+    if (route.waitForSelector !== undefined) {
+      var selector =
+        typeof route.waitForSelector === "string"
+          ? route.waitForSelector
+          : route.waitForSelector && route.waitForSelector.selector;
+      if (typeof selector !== "string" || !selector) {
+        throw new Error(prefix + "的waitForSelector必须是选择器字符串或{selector, timeout}");
+      }
+    }
+
+    if (
+      route.waitForDOMStable !== undefined &&
+      route.waitForDOMStable !== true &&
+      !(route.waitForDOMStable && typeof route.waitForDOMStable === "object")
+    ) {
+      throw new Error(prefix + "的waitForDOMStable必须是true或{waitTime, timeout}");
+    }
+
+    ["query", "hashQuery"].forEach(function (field) {
+      if (route[field] !== undefined && (!route[field] || typeof route[field] !== "object")) {
+        throw new Error(prefix + "的" + field + "必须是对象");
+      }
+    });
+  }
+
+  /**
+   * 校验frames设置
+   * @private
+   * @param {string} [frames] - frames设置
+   * @param {string} prefix - 错误信息前缀
+   * @throws {Error} 取值无效时抛出错误
+   */
+  function validateFrames(frames, prefix) {
+    if (frames !== undefined && FRAME_TYPES.indexOf(frames) === -1) {
+      throw new Error(prefix + '的frames "' + frames + '"无效，可选值: ' + FRAME_TYPES.join(", "));
+    }
+  }
+
+  /**
+   * 校验路由的错误处理策略
+   * @private
+   * @param {Object} policy - 错误处理策略
+   * @param {string} prefix - 错误信息前缀
+   * @throws {Error} 策略格式错误时抛出错误
+   */
+  function validateErrorPolicy(policy, prefix) {
+    if (!policy || typeof policy !== "object") {
+      throw new Error(prefix + "的errorPolicy必须是对象");
+    }
+
+    if (
+      policy.retries !== undefined &&
+      !(typeof policy.retries === "number" && policy.retries >= 0 && policy.retries % 1 === 0)
+    ) {
+      throw new Error(prefix + "的errorPolicy.retries必须是非负整数");
+    }
+
+    if (policy.delay !== undefined && !(typeof policy.delay === "number" && policy.delay >= 0)) {
+      throw new Error(prefix + "的errorPolicy.delay必须是非负数");
+    }
+
+    if (policy.backoff !== undefined && !(typeof policy.backoff === "number" && policy.backoff >= 1)) {
+      throw new Error(prefix + "的errorPolicy.backoff必须是不小于1的数字");
+    }
+  }
+
+  /**
+   * 校验"/正则/"格式的路由路径
+   * @private
+   * @param {string} path - 路由路径
+   * @param {string} prefix - 错误信息前缀
+   * @throws {Error} 正则格式错误时抛出错误
+   */
+  function validateRegexPath(path, prefix) {
+    if (path.length < 2 || path.charAt(0) !== "/" || path.charAt(path.length - 1) !== "/") {
+      throw new Error(prefix + '的正则路径必须是"/正则/"格式: ' + path);
+    }
+
+    try {
+      new RegExp(path.substring(1, path.length - 1));
+    } catch (e) {
+      throw new Error(prefix + "的正则路径无效: " + path + " (" + e.message + ")");
+    }
+  }
+
+  /**
+   * 判断站点是否启用，以及URL的协议、主机、端口及路径是否匹配站点配置
    * @private
    * @param {Object} site - 站点配置
-   * @param {string} fullPath - 完整路径
-   * @param {string} pathname - 路径名
-   * @param {string} hash - 哈希部分
-   * @returns {Object|null} 匹配的路由对象
-   */
-  function findMatchingRoute(site, fullPath, pathname, hash) {
-    return site.routes.find(function(route) {
-      var urlParts = parseUrlParts(fullPath);
-      
-      if (matchAllPages(route.path)) {
-        return true;
+   * @param {URL} urlObj - 解析后的URL对象
+   * @param {Object} urlParts - URL解析后的各部分
+   * @returns {Object} 匹配结果，包含matched和未匹配时的reason
+   */
+  function evaluateSiteHost(site, urlObj, urlParts) {
+    if (!isSiteEnabled(site.name)) {
+      return { matched: false, reason: "站点已停用" };
+    }
+
+    var matched = getHostPatterns(site).some(function (pattern) {
+      return window.HostPattern.match(pattern, urlObj);
+    });
+
+    if (!matched) {
+      return {
+        matched: false,
+        reason: "主机不匹配url/hosts(" + urlObj.protocol + "//" + urlObj.host + ")",
+      };
+    }
+
+    var excludedHost = (site.excludeHosts || []).find(function (pattern) {
+      return window.HostPattern.match(parseHostPattern(pattern, false), urlObj);
+    });
+    if (excludedHost) {
+      return { matched: false, reason: "命中excludeHosts: " + excludedHost };
+    }
+
+    var excludedPath = (site.excludePaths || []).find(function (path) {
+      return matchPathPrefix(path, urlParts) !== null;
+    });
+    if (excludedPath) {
+      return { matched: false, reason: "命中excludePaths: " + excludedPath };
+    }
+
+    return { matched: true, reason: null };
+  }
+
+  /**
+   * 获取站点的主机匹配模式列表
+   * url字段保持原有语义，同时匹配该域名及其子域名
+   * @private
+   * @param {Object} site - 站点配置
+   * @returns {Array<Object>} 解析后的主机匹配模式
+   */
+  function getHostPatterns(site) {
+    var patterns = (site.hosts || []).map(function (pattern) {
+      return parseHostPattern(pattern, false);
+    });
+
+    if (site.url) {
+      patterns.push(parseHostPattern(site.url, true));
+    }
+
+    return patterns;
+  }
+
+  /**
+   * 解析"[协议://]主机[:端口]"格式的主机匹配模式，规则见core/hostPattern.js
+   * @private
+   * @param {string} pattern - 主机匹配模式
+   * @param {boolean} includeSubdomains - 是否同时匹配子域名
+   * @returns {Object|null} 解析结果，包含scheme、host、port和includeSubdomains，格式错误时返回null
+   */
+  function parseHostPattern(pattern, includeSubdomains) {
+    var parsed = window.HostPattern.parse(pattern, includeSubdomains);
+    if (!parsed) {
+      console.error("无效的主机匹配模式: " + pattern);
+    }
+    return parsed;
+  }
+
+  /**
+   * 逐一评估站点中的路由与URL是否匹配
+   * @private
+   * @param {Object} site - 站点配置
+   * @param {string} fullPath - 完整路径(路径和hash)
+   * @param {Object} urlParts - URL解析后的各部分
+   * @returns {Array<Object>} 路由匹配报告数组，每项包含route、index、matchType、target、matched、params和reason
+   */
+  function evaluateRoutes(site, fullPath, urlParts) {
+    return site.routes.map(function (route, index) {
+      var report = {
+        route: route,
+        index: index,
+        matchType: getEffectiveMatchType(route),
+        target: getMatchTarget(route, fullPath, urlParts),
+        matched: false,
+        params: null,
+        reason: null,
+      };
+
+      var params = matchRoute(route, fullPath, urlParts);
+      if (!params) {
+        report.reason = "路径不匹配";
+        return report;
       }
 
-      if (route.matchType === "exact") {
-        return matchExact(route.path, fullPath);
+      var queryFailure = getQueryFailure(route, urlParts);
+      if (queryFailure) {
+        report.reason = queryFailure;
+        return report;
       }
 
-      if (route.matchType === "pathExact") {
-        return matchPathExact(route.path, urlParts);
+      if (!route.handler) {
+        report.reason = "缺少handler";
+        return report;
       }
 
-      if (route.matchType === "regex") {
-        return matchRegex(route.path, fullPath);
+      if (!isRouteEnabled(site.name, route.path)) {
+        report.reason = "路由已停用";
+        return report;
       }
 
-      return matchPathPrefix(route.path, urlParts);
+      var frames = getRouteFrames(site, route);
+      if (!matchFrame(frames)) {
+        report.reason = "框架不匹配: 路由frames为" + frames + "，当前为" + (isTopFrame() ? "顶层页面" : "子框架");
+        return report;
+      }
+
+      report.matched = true;
+      report.params = params;
+      return report;
+    });
+  }
+
+  /**
+   * 获取路由生效的frames设置，路由未设置时使用站点设置
+   * @private
+   * @param {Object} site - 站点配置
+   * @param {Object} route - 路由配置
+   * @returns {string} "top"、"child"或"all"
+   */
+  function getRouteFrames(site, route) {
+    return route.frames || site.frames || "top";
+  }
+
+  /**
+   * 判断当前框架是否满足frames设置
+   * @private
+   * @param {string} frames - "top"、"child"或"all"
+   * @returns {boolean} 是否满足
+   */
+  function matchFrame(frames) {
+    if (frames === "all") return true;
+    return isTopFrame() ? frames === "top" : frames === "child";
+  }
+
+  /**
+   * 判断当前脚本是否运行在顶层页面
+   * @private
+   * @returns {boolean} 是否为顶层页面
+   */
+  function isTopFrame() {
+    return window.top === window;
+  }
+
+  /**
+   * 获取路由实际使用的匹配方式
+   * @private
+   * @param {Object} route - 路由配置
+   * @returns {string} 匹配方式，全部页面匹配时为"all"
+   */
+  function getEffectiveMatchType(route) {
+    if (matchAllPages(route.path) && !route.matchType) {
+      return "all";
+    }
+    return route.matchType || "pathPrefix";
+  }
+
+  /**
+   * 获取路由匹配时实际比较的URL部分
+   * @private
+   * @param {Object} route - 路由配置
+   * @param {string} fullPath - 完整路径(路径和hash)
+   * @param {Object} urlParts - URL解析后的各部分
+   * @returns {string} 参与比较的字符串
+   */
+  function getMatchTarget(route, fullPath, urlParts) {
+    var matchType = getEffectiveMatchType(route);
+
+    if (matchType === "all") return "";
+    if (matchType === "exact" || matchType === "regex") return fullPath;
+    return getMatchPath(route.path, urlParts);
+  }
+
+  /**
+   * 按priority从高到低排序匹配结果，并在第一个exclusive路由处截断
+   * @private
+   * @param {Array<Object>} matches - 按声明顺序排列的匹配结果
+   * @returns {Array<Object>} 排序并截断后的匹配结果
+   */
+  function applyPriority(matches) {
+    var sorted = matches.slice().sort(function (a, b) {
+      var diff = (b.route.priority || 0) - (a.route.priority || 0);
+      return diff !== 0 ? diff : a.order - b.order;
     });
+
+    for (var i = 0; i < sorted.length; i++) {
+      if (sorted[i].route.exclusive) {
+        return sorted.slice(0, i + 1);
+      }
+    }
+
+    return sorted;
+  }
+
+  /**
+   * 按路由的matchType对URL进行匹配
+   * @private
+   * @param {Object} route - 路由配置
+   * @param {string} fullPath - 完整路径
+   * @param {Object} urlParts - URL解析后的各部分
+   * @returns {Object|null} 匹配成功时返回路由参数对象(无参数时为空对象)，否则返回null
+   */
+  function matchRoute(route, fullPath, urlParts) {
+    if (matchAllPages(route.path) && !route.matchType) {
+      return {};
+    }
+
+    if (route.matchType === "exact") {
+      return matchExact(route.path, fullPath);
+    }
+
+    if (route.matchType === "pathExact") {
+      return matchPathExact(route.path, urlParts);
+    }
+
+    if (route.matchType === "regex") {
+      return matchRegex(route.path, fullPath);
+    }
+
+    return matchPathPrefix(route.path, urlParts);
   }
   
   /**
    * 分离URL的各个部分
    * @private
    * @param {string} url - URL字符串
-   * @returns {Object} 包含路径、查询参数和哈希的对象
+   * @returns {Object} 包含路径、查询参数、哈希及哈希路由路径的对象
    */
   function parseUrlParts(url) {
-    var pathParts = url.split("?");
-    var path = pathParts[0];
+    var hashIndex = url.indexOf("#");
+    var beforeHash = hashIndex === -1 ? url : url.slice(0, hashIndex);
+    var hash = hashIndex === -1 ? "" : url.slice(hashIndex);
 
-    var queryAndHash = pathParts.length > 1 ? pathParts[1] : "";
-    var hashParts = queryAndHash.split("#");
+    var queryIndex = beforeHash.indexOf("?");
+    var path = queryIndex === -1 ? beforeHash : beforeHash.slice(0, queryIndex);
+    var query = queryIndex === -1 ? "" : beforeHash.slice(queryIndex + 1);
 
-    var query = hashParts[0];
-    var hash = hashParts.length > 1 ? "#" + hashParts[1] : "";
-
-    if (pathParts.length === 1 && url.includes("#")) {
-      var fullHashParts = url.split("#");
-      path = fullHashParts[0];
-      hash = "#" + fullHashParts.slice(1).join("#");
-      query = "";
-    }
+    // hash路由中"?"之前的部分，如"#/order/1?tab=2"中的"#/order/1"
+    var hashQueryIndex = hash.indexOf("?");
+    var hashPath = hashQueryIndex === -1 ? hash : hash.slice(0, hashQueryIndex);
+    var hashQuery = hashQueryIndex === -1 ? "" : hash.slice(hashQueryIndex + 1);
 
     return {
       path: path,
       query: query,
       hash: hash,
+      hashPath: hashPath,
+      hashQuery: hashQuery,
+      queryParams: parseQueryString(query),
+      hashQueryParams: parseQueryString(hashQuery),
       fullPath: path + (query ? "?" + query : "") + hash,
     };
   }
 
+  /**
+   * 将查询字符串解析为对象，同名参数取第一个值
+   * @private
+   * @param {string} queryString - 不含"?"的查询字符串
+   * @returns {Object} 参数对象
+   */
+  function parseQueryString(queryString) {
+    var result = {};
+
+    new URLSearchParams(queryString).forEach(function (value, key) {
+      if (!Object.prototype.hasOwnProperty.call(result, key)) {
+        result[key] = value;
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * 检查URL是否满足路由的query和hashQuery条件
+   * @private
+   * @param {Object} route - 路由配置
+   * @param {Object} urlParts - URL解析后的各部分
+   * @returns {string|null} 不满足时返回原因，满足时返回null
+   */
+  function getQueryFailure(route, urlParts) {
+    var failedKey = findFailedQueryCondition(route.query, urlParts.queryParams);
+    if (failedKey !== null) {
+      return "查询参数不满足条件: " + failedKey;
+    }
+
+    failedKey = findFailedQueryCondition(route.hashQuery, urlParts.hashQueryParams);
+    if (failedKey !== null) {
+      return "hash查询参数不满足条件: " + failedKey;
+    }
+
+    return null;
+  }
+
+  /**
+   * 查找参数对象不满足的第一个查询条件
+   * @private
+   * @param {Object} [conditions] - 查询条件，键为参数名
+   * @param {Object} queryParams - 解析后的参数对象
+   * @returns {string|null} 不满足条件的参数名，全部满足时返回null
+   */
+  function findFailedQueryCondition(conditions, queryParams) {
+    if (!conditions) return null;
+
+    var failedKey = Object.keys(conditions).find(function (key) {
+      var condition = conditions[key];
+      var present = Object.prototype.hasOwnProperty.call(queryParams, key);
+
+      if (condition === true) return !present;
+      if (condition === false) return present;
+      if (!present) return true;
+
+      if (condition instanceof RegExp) {
+        condition.lastIndex = 0;
+        return !condition.test(queryParams[key]);
+      }
+
+      return queryParams[key] !== String(condition);
+    });
+
+    return failedKey === undefined ? null : failedKey;
+  }
+
+  /**
+   * 获取路由用于路径匹配的目标路径
+   * 路由path中包含"#"时，将hash路由路径拼接到路径后一并匹配
+   * @private
+   * @param {string} routePath - 路由路径
+   * @param {Object} urlParts - URL解析后的各部分
+   * @returns {string} 用于匹配的路径
+   */
+  function getMatchPath(routePath, urlParts) {
+    if (routePath.indexOf("#") !== -1) {
+      return urlParts.path + urlParts.hashPath;
+    }
+    return urlParts.path;
+  }
+
+  /**
+   * 按路径段逐一比较路由路径与URL路径，":参数名"段匹配任意单个路径段
+   * @private
+   * @param {Array<string>} routeSegments - 路由路径段
+   * @param {Array<string>} urlSegments - URL路径段
+   * @returns {Object|null} 匹配成功时返回路由参数对象，否则返回null
+   */
+  function matchSegments(routeSegments, urlSegments) {
+    var params = {};
+
+    for (var i = 0; i < routeSegments.length; i++) {
+      var routeSegment = routeSegments[i];
+      var urlSegment = urlSegments[i];
+
+      if (isParamSegment(routeSegment)) {
+        params[routeSegment.slice(1)] = safeDecode(urlSegment);
+      } else if (routeSegment !== urlSegment) {
+        return null;
+      }
+    }
+
+    return params;
+  }
+
+  /**
+   * 判断路径段是否为":参数名"形式的参数占位
+   * @private
+   * @param {string} segment - 路径段
+   * @returns {boolean} 是否为参数占位
+   */
+  function isParamSegment(segment) {
+    return /^:[A-Za-z_$][\w$]*$/.test(segment);
+  }
+
+  /**
+   * 解码路径段，解码失败时返回原值
+   * @private
+   * @param {string} value - 路径段
+   * @returns {string} 解码后的值
+   */
+  function safeDecode(value) {
+    try {
+      return decodeURIComponent(value);
+    } catch (e) {
+      return value;
+    }
+  }
+
+  /**
+   * 转义正则表达式中的特殊字符
+   * @private
+   * @param {string} str - 原始字符串
+   * @returns {string} 转义后的字符串
+   */
+  function escapeRegExp(str) {
+    return str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  }
+
   /**
    * 全部页面匹配（根路径匹配）
    * @private
@@ -155,10 +1283,29 @@
    * @private
    * @param {string} routePath - 路由路径
    * @param {string} urlFullPath - 完整URL路径
-   * @returns {boolean} 是否匹配
+   * @returns {Object|null} 匹配成功时返回路由参数对象，否则返回null
    */
   function matchExact(routePath, urlFullPath) {
-    return routePath === urlFullPath;
+    var keys = [];
+    var source = routePath
+      .split("/")
+      .map(function (segment) {
+        if (isParamSegment(segment)) {
+          keys.push(segment.slice(1));
+          return "([^/?#]+)";
+        }
+        return escapeRegExp(segment);
+      })
+      .join("/");
+
+    var match = new RegExp("^" + source + "$").exec(urlFullPath);
+    if (!match) return null;
+
+    var params = {};
+    keys.forEach(function (key, index) {
+      params[key] = safeDecode(match[index + 1]);
+    });
+    return params;
   }
 
   /**
@@ -166,17 +1313,15 @@
    * @private
    * @param {string} routePath - 路由路径
    * @param {Object} urlParts - URL解析后的各部分
-   * @returns {boolean} 是否匹配
+   * @returns {Object|null} 匹配成功时返回路由参数对象，否则返回null
    */
   function matchPathExact(routePath, urlParts) {
-    var normalizedRoutePath = routePath.endsWith("/")
-      ? routePath.slice(0, -1)
-      : routePath;
-    var normalizedUrlPath = urlParts.path.endsWith("/")
-      ? urlParts.path.slice(0, -1)
-      : urlParts.path;
+    var routeParts = routePath.split("/").filter(Boolean);
+    var urlPathParts = getMatchPath(routePath, urlParts).split("/").filter(Boolean);
 
-    return normalizedRoutePath === normalizedUrlPath;
+    if (urlPathParts.length !== routeParts.length) return null;
+
+    return matchSegments(routeParts, urlPathParts);
   }
 
   /**
@@ -184,36 +1329,34 @@
    * @private
    * @param {string} routePath - 路由路径
    * @param {Object} urlParts - URL解析后的各部分
-   * @returns {boolean} 是否匹配
+   * @returns {Object|null} 匹配成功时返回路由参数对象，否则返回null
    */
   function matchPathPrefix(routePath, urlParts) {
     var routeParts = routePath.split("/").filter(Boolean);
-    var urlPathParts = urlParts.path.split("/").filter(Boolean);
-
-    if (urlPathParts.length < routeParts.length) return false;
+    var urlPathParts = getMatchPath(routePath, urlParts).split("/").filter(Boolean);
 
-    for (var i = 0; i < routeParts.length; i++) {
-      if (routeParts[i] !== urlPathParts[i]) return false;
-    }
+    if (urlPathParts.length < routeParts.length) return null;
 
-    return true;
+    return matchSegments(routeParts, urlPathParts);
   }
 
   /**
-   * 正则表达式匹配
+   * 正则表达式匹配，命名捕获组作为路由参数
    * @private
    * @param {string} routePath - 路由路径（包含正则表达式）
    * @param {string} urlFullPath - 完整URL路径
-   * @returns {boolean} 是否匹配
+   * @returns {Object|null} 匹配成功时返回路由参数对象，否则返回null
    */
   function matchRegex(routePath, urlFullPath) {
     try {
       var regexStr = routePath.substring(1, routePath.length - 1);
       var regex = new RegExp(regexStr);
-      return regex.test(urlFullPath);
+      var match = regex.exec(urlFullPath);
+      if (!match) return null;
+      return Object.assign({}, match.groups);
     } catch (e) {
       console.error("解析路由正则表达式时出错:", e);
-      return false;
+      return null;
     }
   }
   
@@ -221,8 +1364,9 @@
    * 记录匹配信息
    * @private
    * @param {Object} route - 匹配的路由
+   * @param {Object} params - 路由参数
    */
-  function logMatchInfo(route) {
+  function logMatchInfo(route, params) {
     var matchTypeInfo = route.path === "/" ? "全部页面匹配" 
                       : route.matchType === "exact" ? "精确匹配"
                       : route.matchType === "pathExact" ? "路径精确匹配"
@@ -230,6 +1374,10 @@
                       : "部分路径匹配";
     
     console.log("找到处理函数: " + route.path + " (" + matchTypeInfo + ")");
+
+    if (params && Object.keys(params).length > 0) {
+      console.log("路由参数: " + JSON.stringify(params));
+    }
   }
 
   /**
@@ -239,10 +1387,10 @@
    */
   function checkDependencies() {
     var requiredDependencies = [
+      { name: "HostPattern", global: window.HostPattern },
       { name: "StorageManager", global: window.StorageManager },
       { name: "UrlMonitor", global: window.UrlMonitor },
       { name: "Utils", global: window.Utils },
-      { name: "handleAndfleet", global: window.handleAndfleet },
       { name: "UI.CenterModal", global: window.UI && window.UI.CenterModal },
       { name: "UI.ExcelTable", global: window.UI && window.UI.ExcelTable },
       { name: "UI.ExpandButton", global: window.UI && window.UI.ExpandButton },
@@ -301,6 +1449,9 @@
     return Promise.race([checkPromise, timeoutPromise]);
   }
 
+  // 扩展页面(如选项页)只加载站点配置，不执行处理函数，不需要等待页面中使用的模块
+  if (window.location.protocol === "chrome-extension:") return;
+
   // 初始化模块
   checkDependencies().then(function (loaded) {
     if (loaded) {
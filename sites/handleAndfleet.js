@@ -1,14 +1,34 @@
 /**
- * 处理Andfleet网站的订单页面
- * @param {Object} pageInfo - 包含页面信息的对象(url等)
- * @returns {void}
+ * @fileoverview Andfleet网站的站点配置和处理函数
+ * 整个文件包在立即执行函数中，处理函数不会暴露到全局，不同站点文件之间不会重名
  */
-function handleAndfleet(pageInfo) {
-  window.Utils.waitForDOMStable(3000, 30000)
-  .then(function() {
-    console.log("DOM稳定");
-  })
-  .catch(function(error) {
-    console.error("DOM稳定失败", error);
+
+(function() {
+  // 注册Andfleet站点配置
+  window.SiteManager.registerSite({
+    name: "andfleet",
+    url: "andfleet.cm-iov.com",
+    routes: [
+      {
+        path: "/v1/evhe/#/order/",
+        matchType: "pathPrefix",
+        /**
+         * 处理Andfleet网站的订单页面
+         * @param {Object} pageInfo - 包含页面信息的对象(url、路由参数params等)
+         * @returns {void}
+         */
+        handler: function(pageInfo) {
+          window.Utils.waitForDOMStable(3000, 30000, { signal: pageInfo.signal })
+          .then(function() {
+            console.log("DOM稳定");
+          })
+          .catch(function(error) {
+            // 已导航到其他页面，放弃本次处理
+            if (error.name === 'AbortError') return;
+            console.error("DOM稳定失败", error);
+          });
+        },
+      },
+    ],
   });
-}
+})();